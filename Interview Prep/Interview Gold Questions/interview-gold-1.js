@@ -70,6 +70,9 @@ function promiseRetry(fn, retries = 3, delay = 1000) {
  * - How to add exponential backoff?
  * - How to cancel retry (AbortController)?
  * - What if fn is not idempotent?
+ * - How to add timeout? Per attempt → MyPromise.timeout(fn(), ms);
+ *   for the whole retry loop → one MyPromise.deadline(ms) shared by every
+ *   attempt and delay (Polyfills/promises.js)
  */
 
 
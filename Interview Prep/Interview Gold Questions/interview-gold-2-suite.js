@@ -0,0 +1,130 @@
+/***********************************************************
+ * Regression tests for interview-gold-2.js
+ *
+ * Run: node "Interview Prep/Interview Gold Questions/interview-gold-2-suite.js"
+ *
+ * - Self-contained (no npm install): loads interview-gold-2.js as a plain script
+ * - Covers edge cases that are easy to break and hard to spot by reading:
+ *   cancel resetting a leading debounce, maxWait under continuous calls,
+ *   debounceAsync flush/cancel/rejectSuperseded
+ * - Real timers with short delays → keep the margins generous
+ ***********************************************************/
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { describe, it, run } = require("../Polyfills/test-runner");
+
+const source = fs.readFileSync(path.join(__dirname, "interview-gold-2.js"), "utf8");
+const { debounce, debounceAsync } = vm.runInThisContext(
+  `${source}\n;({ debounce, debounceAsync })`,
+  { filename: "interview-gold-2.js" }
+);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+
+/***********************************************************
+ * debounce
+ ***********************************************************/
+describe("debounce", () => {
+  it("fires a leading call again after cancel()", () => {
+    const calls = [];
+    const fn = debounce(x => calls.push(x), 50, true);
+    fn(1);
+    fn.cancel();
+    fn(2);
+    fn.cancel();
+    assert.deepStrictEqual(calls, [1, 2]);
+    assert.strictEqual(fn.pending(), false);
+  });
+
+  it("runs at least every maxWait ms while calls keep coming", async () => {
+    const calls = [];
+    const fn = debounce(x => calls.push(x), 40, { maxWait: 60 });
+    for (let i = 1; i <= 10; i++) {
+      fn(i);
+      await sleep(15);
+    }
+    assert.ok(calls.length >= 1, "maxWait never fired during the burst");
+    fn.flush();
+    assert.strictEqual(calls[calls.length - 1], 10);
+    assert.strictEqual(fn.pending(), false);
+  });
+
+  it("flush() runs the pending call once and returns its result", () => {
+    let calls = 0;
+    const fn = debounce(x => (calls++, x * 2), 50);
+    fn(1);
+    fn(2);
+    assert.strictEqual(fn.flush(), 4);
+    assert.strictEqual(fn.flush(), 4); // nothing pending → last result, no new call
+    assert.strictEqual(calls, 1);
+  });
+});
+
+
+/***********************************************************
+ * debounceAsync
+ ***********************************************************/
+describe("debounceAsync", () => {
+  it("gives every caller of a burst the one result", async () => {
+    let calls = 0;
+    const fn = debounceAsync(async x => (calls++, x), 10);
+    assert.deepStrictEqual(await Promise.all([fn(1), fn(2), fn(3)]), [3, 3, 3]);
+    assert.strictEqual(calls, 1);
+  });
+
+  it("flush() returns the promise the pending callers get", async () => {
+    const fn = debounceAsync(async x => x * 2, 1000);
+    const pending = fn(21);
+    const flushed = fn.flush();
+    assert.ok(flushed instanceof Promise);
+    assert.strictEqual(await flushed, 42);
+    assert.strictEqual(await pending, 42);
+    assert.strictEqual(fn.pending(), false);
+  });
+
+  it("flush() rejects like the callers when fn fails", async () => {
+    const fn = debounceAsync(async () => {
+      throw new Error("boom");
+    }, 1000);
+    const pending = fn();
+    await assert.rejects(fn.flush(), /boom/);
+    await assert.rejects(pending, /boom/);
+  });
+
+  it("cancel() rejects the waiting callers with an AbortError and allows a new burst", async () => {
+    let calls = 0;
+    const fn = debounceAsync(async x => (calls++, x), 10);
+    const cancelled = fn(1);
+    fn.cancel();
+    await assert.rejects(cancelled, { name: "AbortError" });
+    assert.strictEqual(await fn(2), 2);
+    assert.strictEqual(calls, 1);
+  });
+
+  it("rejects superseded callers with rejectSuperseded", async () => {
+    const fn = debounceAsync(async x => x, 10, { rejectSuperseded: true });
+    const first = fn("a");
+    const second = fn("ab");
+    await assert.rejects(first, { name: "AbortError" });
+    assert.strictEqual(await second, "ab");
+  });
+
+  it("resolves callers during a continuous burst with maxWait", async () => {
+    const fn = debounceAsync(async x => x, 40, { maxWait: 60 });
+    const settled = [];
+    for (let i = 1; i <= 10; i++) {
+      fn(i).then(value => settled.push(value));
+      await sleep(15);
+    }
+    assert.ok(settled.length >= 1, "nobody was resolved before the burst ended");
+    await fn.flush();
+  });
+});
+
+
+run();
@@ -6,31 +6,159 @@
  * - Debounce ensures function runs only after "quiet period"
  * - With immediate=true: runs once immediately, then waits
  * - With cancel(): allows aborting scheduled execution
+ * - Third argument can also be lodash-style options:
+ *   { leading = false, trailing = true, maxWait }
+ *   - leading + trailing: first call runs at once; the trailing call only runs
+ *     if more calls came in during the wait
+ *   - maxWait: the longest fn may be postponed – continuous typing still
+ *     triggers a call every maxWait ms instead of starving forever
+ * - flush(): run the pending call now; pending(): is a call scheduled?
+ * - Returns the result of the last fn invocation
  *
  * Why asked?
  * - Shows ability to extend common utility
  * - Very common in React/Vue apps
+ *
+ * Pitfall in the naive version:
+ * - cancel() = clearTimeout(timer) only → `timer` stays truthy, so the next
+ *   immediate call thinks it is mid-burst and never fires. cancel must reset state
  */
 function debounce(fn, delay, immediate = false) {
-  let timer;
+  const options = typeof immediate === "object" && immediate !== null
+    ? immediate
+    : { leading: immediate, trailing: !immediate };
+  const { leading = false, trailing = true, maxWait } = options;
+
+  let timer = null, maxTimer = null;
+  let lastArgs = null, lastThis = null;
+  let result;
+
+  const invoke = () => {
+    const args = lastArgs, self = lastThis;
+    lastArgs = lastThis = null; // consumed → never runs twice
+    result = fn.apply(self, args);
+  };
+
+  const reset = () => {
+    clearTimeout(timer);
+    clearTimeout(maxTimer);
+    timer = maxTimer = null;
+  };
+
+  const trailingEdge = () => {
+    reset();
+    if (trailing && lastArgs) invoke();
+    lastArgs = lastThis = null;
+  };
+
+  const maxWaitReached = () => {
+    maxTimer = null;
+    if (lastArgs) invoke();
+    if (timer !== null) maxTimer = setTimeout(maxWaitReached, maxWait); // burst still going
+  };
+
   const debounced = function(...args) {
-    const callNow = immediate && !timer;
+    lastArgs = args;
+    lastThis = this;
+    const startsBurst = timer === null;
+
     clearTimeout(timer);
-    timer = setTimeout(() => {
-      timer = null;
-      if (!immediate) fn.apply(this, args);
-    }, delay);
-    if (callNow) fn.apply(this, args);
+    timer = setTimeout(trailingEdge, delay);
+
+    if (startsBurst) {
+      if (maxWait !== undefined) maxTimer = setTimeout(maxWaitReached, Math.max(maxWait, delay));
+      if (leading) invoke();
+    }
+    return result;
   };
-  debounced.cancel = () => clearTimeout(timer);
+
+  debounced.cancel = () => {
+    reset();
+    lastArgs = lastThis = null;
+  };
+  debounced.flush = () => {
+    if (timer !== null) trailingEdge();
+    return result;
+  };
+  debounced.pending = () => timer !== null;
   return debounced;
 }
 
+/**
+ * debounceAsync(fn, delay, { maxWait, rejectSuperseded = false })
+ *
+ * What does it do?
+ * - Every call returns a promise
+ * - Default: all callers of one burst share the single eventual result
+ *   (or rejection) of fn
+ * - rejectSuperseded: true → only the latest caller gets the result; earlier
+ *   callers of the burst reject with an AbortError as soon as a newer call
+ *   replaces them (typeahead: stale requests stop waiting)
+ * - cancel() rejects everyone waiting with an AbortError
+ * - flush() runs the pending call now and returns the promise its callers get
+ *   (nothing pending → the last burst's promise, like debounce's flush)
+ *
+ * Why implement it this way?
+ * - Reuses debounce for the timing (maxWait, flush, pending) and only keeps a
+ *   list of waiters for the current burst
+ * - The list is swapped out when fn starts → calls arriving while fn is still
+ *   running belong to the next burst
+ */
+function debounceAsync(fn, delay, { maxWait, rejectSuperseded = false } = {}) {
+  let waiters = [];
+
+  // Returns the burst's outcome → debounce keeps it as `result`, so flush() hands it out
+  const run = debounce(function(...args) {
+    const batch = waiters;
+    waiters = [];
+    const outcome = new Promise(resolve => resolve(fn.apply(this, args)));
+    outcome.then(
+      value => batch.forEach(w => w.resolve(value)),
+      err => batch.forEach(w => w.reject(err))
+    );
+    return outcome;
+  }, delay, { maxWait });
+
+  const rejectWaiting = message => {
+    const abandoned = waiters;
+    waiters = [];
+    abandoned.forEach(w => w.reject(createAbortError(message)));
+  };
+
+  const debounced = function(...args) {
+    return new Promise((resolve, reject) => {
+      if (rejectSuperseded) rejectWaiting("Superseded by a newer call");
+      waiters.push({ resolve, reject });
+      run.apply(this, args);
+    });
+  };
+
+  debounced.cancel = () => {
+    run.cancel();
+    rejectWaiting("Debounced call was cancelled");
+  };
+  debounced.flush = () => run.flush();
+  debounced.pending = () => run.pending();
+  return debounced;
+}
+
+// createAbortError() from Polyfills/promises.js, copied so this answer runs standalone
+function createAbortError(message = "This operation was aborted") {
+  if (typeof DOMException === "function") return new DOMException(message, "AbortError");
+  const err = new Error(message);
+  err.name = "AbortError";
+  return err;
+}
+
 /**
  * Follow-up Questions:
  * - When would you use debounce vs throttle?
- * - How to make debounceAsync (returning a promise)?
+ * - How to make debounceAsync (returning a promise)? (→ above: one waiter list per burst)
  * - How to test debounce with Jest/fake timers?
+ * - Why maxWait? (a search box someone keeps typing in would otherwise never search;
+ *   throttle is just debounce with maxWait = delay)
+ * - Should superseded calls reject or stay pending forever? (reject: a promise
+ *   that never settles leaks its awaiting code and spinners)
  */
 
 
@@ -78,6 +206,8 @@ function fetchPolyfill(url, options = {}) {
  * Follow-up Questions:
  * - How does fetch differ from XHR? (streaming, simpler API)
  * - How to add timeout support?
+ *   → MyPromise.timeout(fetchPolyfill(url), ms), or pass a Deadline down
+ *     (Polyfills/promises.js) and call xhr.abort() from its signal
  * - How to add AbortController support?
  */
 
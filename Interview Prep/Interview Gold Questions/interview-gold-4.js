@@ -94,7 +94,8 @@ function VirtualizedList({ items, rowHeight, height }) {
  *
  * Follow-up:
  * - How to optimize Context re-renders? → Split context, selectors, memo
- * - How do Signals differ from Context?
+ * - How do Signals differ from Context? (see signal/computed/effect in Polyfills/observer-pattern.js:
+ *   only readers of a changed signal update, no Provider-wide re-render)
  */
 
 
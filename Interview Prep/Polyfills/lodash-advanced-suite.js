@@ -0,0 +1,370 @@
+/***********************************************************
+ * Regression tests for lodash-advanced.js
+ *
+ * Run: node "Interview Prep/Polyfills/lodash-advanced-suite.js"
+ *
+ * - Self-contained (no npm install): loads lodash-advanced.js as a plain script
+ * - Covers edge cases that are easy to break and hard to spot by reading:
+ *   Seq/AsyncSeq reduce without a seed, flattening across sync/async Seqs,
+ *   memoize trie pruning and expiry, memoizeAsync failures and signals,
+ *   JSON Patch round trips
+ ***********************************************************/
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { describe, it, run } = require("./test-runner");
+
+const source = fs.readFileSync(path.join(__dirname, "lodash-advanced.js"), "utf8");
+const {
+  memoize,
+  memoizeAsync,
+  createKeyTrie,
+  Seq,
+  AsyncSeq,
+  diff,
+  applyPatch,
+  invertPatch,
+  JsonPatchError
+} = vm.runInThisContext(
+  `${source}\n;({ memoize, memoizeAsync, createKeyTrie, Seq, AsyncSeq, diff, applyPatch, invertPatch, JsonPatchError })`,
+  { filename: "lodash-advanced.js" }
+);
+
+
+/***********************************************************
+ * memoize
+ ***********************************************************/
+// Runs fn with Date.now() reading from a clock the test moves by hand
+function withFakeClock(fn) {
+  const realNow = Date.now;
+  const clock = { now: 1000, tick: ms => (clock.now += ms) };
+  Date.now = () => clock.now;
+  const restore = () => (Date.now = realNow);
+  try {
+    const result = fn(clock);
+    if (result && typeof result.then === "function") return result.finally(restore);
+    restore();
+    return result;
+  } catch (err) {
+    restore();
+    throw err;
+  }
+}
+
+// Number of child nodes directly under a trie node
+const childCount = node => (node.strong ? node.strong.size : 0);
+
+describe("memoize", () => {
+  describe("identity key trie", () => {
+    it("prunes a released path but keeps shared prefixes", () => {
+      const trie = createKeyTrie();
+      const a = {};
+      const first = trie.tokenFor([a, 1]);
+      const second = trie.tokenFor([a, 2]);
+      assert.strictEqual(trie.tokenFor([a, 1]), first);
+
+      trie.release(first);
+      assert.strictEqual(trie.find([a, 1]), undefined);
+      assert.strictEqual(trie.find([a, 2]), second);
+      const aNode = second.node.parent;
+      assert.strictEqual(childCount(aNode), 1); // only the "2" branch is left
+
+      trie.release(second);
+      const root = aNode.parent.parent; // a → arity 2 → root
+      assert.strictEqual(root.parent, null);
+      assert.strictEqual(childCount(root), 0);
+      assert.notStrictEqual(trie.tokenFor([a, 1]), first); // a fresh token, not the released one
+    });
+
+    it("ignores releasing the same token twice", () => {
+      const trie = createKeyTrie();
+      const token = trie.tokenFor(["x"]);
+      trie.release(token);
+      const again = trie.tokenFor(["x"]);
+      trie.release(token);
+      assert.strictEqual(trie.find(["x"]), again);
+    });
+
+    it("forgets evicted and deleted arguments", () => {
+      let calls = 0;
+      const fn = memoize(() => ++calls, { keyMode: "identity", maxSize: 1 });
+      const a = {};
+      const b = {};
+      fn(a);
+      fn(b); // evicts a
+      assert.strictEqual(fn.cache.has(a), false);
+      assert.strictEqual(fn(a), 3); // recomputed, evicts b
+      assert.strictEqual(fn.cache.delete(a), true);
+      assert.strictEqual(fn.cache.has(a), false);
+      assert.deepStrictEqual(fn.cache.stats(), { hits: 0, misses: 3, evictions: 2, expirations: 0, size: 0 });
+    });
+  });
+
+  describe("ttl", () => {
+    it("recomputes once a result has expired", () => withFakeClock(clock => {
+      let calls = 0;
+      const fn = memoize(x => x + ++calls, { ttl: 100 });
+      assert.strictEqual(fn(10), 11);
+      clock.tick(99);
+      assert.strictEqual(fn(10), 11);
+      clock.tick(1);
+      assert.strictEqual(fn.cache.has(10), false);
+      assert.strictEqual(fn(10), 12);
+      assert.deepStrictEqual(fn.cache.stats(), { hits: 1, misses: 2, evictions: 0, expirations: 1, size: 1 });
+    }));
+
+    it("prunes the trie path of an expired identity key", () => withFakeClock(clock => {
+      let calls = 0;
+      const fn = memoize(() => ++calls, { keyMode: "identity", ttl: 10 });
+      const key = {};
+      fn(key);
+      clock.tick(10);
+      assert.strictEqual(fn(key), 2);
+      assert.strictEqual(fn.cache.size, 1);
+    }));
+  });
+
+  it("caches nothing when fn throws", () => {
+    let calls = 0;
+    const fn = memoize(x => {
+      calls++;
+      if (calls === 1) throw new Error("first call fails");
+      return x;
+    });
+    assert.throws(() => fn(1), /first call fails/);
+    assert.strictEqual(fn.cache.size, 0);
+    assert.strictEqual(fn(1), 1);
+    assert.strictEqual(calls, 2);
+  });
+});
+
+
+describe("memoizeAsync", () => {
+  describe("failures", () => {
+    it("evicts a rejection so the next call retries", async () => {
+      let calls = 0;
+      const fn = memoizeAsync(async () => {
+        if (++calls === 1) throw new Error("flaky");
+        return "ok";
+      });
+      await assert.rejects(fn(), /flaky/);
+      assert.strictEqual(await fn(), "ok");
+      assert.strictEqual(await fn(), "ok");
+      assert.strictEqual(calls, 2);
+    });
+
+    it("caches the rejection with evictFailures: false", async () => {
+      let calls = 0;
+      const fn = memoizeAsync(async () => {
+        calls++;
+        throw new Error("down");
+      }, { evictFailures: false });
+      await assert.rejects(fn(), /down/);
+      await assert.rejects(fn(), /down/);
+      assert.strictEqual(calls, 1);
+      fn.invalidate();
+      await assert.rejects(fn(), /down/);
+      assert.strictEqual(calls, 2);
+    });
+
+    it("keeps the stale value when a background refresh fails", () => withFakeClock(async clock => {
+      let calls = 0;
+      const fn = memoizeAsync(async () => {
+        if (++calls === 2) throw new Error("refresh failed");
+        return calls;
+      }, { ttl: 10, staleWhileRevalidate: 100 });
+      assert.strictEqual(await fn(), 1);
+      clock.tick(20);
+      assert.strictEqual(await fn(), 1); // stale, refresh starts and fails
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(await fn(), 1); // still stale, retries in the background
+      await new Promise(resolve => setImmediate(resolve));
+      assert.strictEqual(await fn(), 3);
+    }));
+  });
+
+  describe("signals", () => {
+    it("passes no extra argument unless passSignal is set", async () => {
+      const seen = [];
+      const fn = memoizeAsync(async (id, options = { signal: "default" }) => {
+        seen.push(options.signal);
+        return id;
+      });
+      await fn(1);
+      await fn.withSignal(new AbortController().signal, 2);
+      assert.deepStrictEqual(seen, ["default", "default"]);
+    });
+
+    it("passes a trailing { signal } with passSignal", async () => {
+      let received;
+      const fn = memoizeAsync(async (...args) => {
+        received = args;
+      }, { passSignal: true });
+      await fn(1);
+      assert.strictEqual(received.length, 2);
+      assert.strictEqual(received[0], 1);
+      assert.ok(received[1].signal instanceof AbortSignal);
+    });
+
+    it("aborts the shared call only when the last waiting caller aborts", async () => {
+      let signal;
+      const fn = memoizeAsync((id, options) => {
+        signal = options.signal;
+        return new Promise(() => {}); // never settles by itself
+      }, { passSignal: true });
+      const first = new AbortController();
+      const second = new AbortController();
+      const p1 = fn.withSignal(first.signal, 1);
+      const p2 = fn.withSignal(second.signal, 1);
+
+      first.abort();
+      await assert.rejects(p1, { name: "AbortError" });
+      assert.strictEqual(signal.aborted, false);
+      second.abort(new Error("gone"));
+      await assert.rejects(p2, /gone/);
+      assert.strictEqual(signal.aborted, true);
+    });
+  });
+});
+
+
+/***********************************************************
+ * Seq / AsyncSeq
+ ***********************************************************/
+describe("Seq", () => {
+  describe("reduce", () => {
+    it("seeds with the first element when no initial value is given", () => {
+      assert.strictEqual(Seq.from([1, 2, 3]).reduce((a, b) => a + b), 6);
+    });
+
+    it("passes the same indexes as Array#reduce", () => {
+      const indexes = [];
+      Seq.from(["a", "b", "c"]).reduce((acc, value, index) => indexes.push(index));
+      assert.deepStrictEqual(indexes, [1, 2]);
+    });
+
+    it("treats an explicit undefined as an initial value", () => {
+      assert.deepStrictEqual(Seq.from([1]).reduce((acc, value) => [acc, value], undefined), [undefined, 1]);
+    });
+
+    it("throws a TypeError on an empty sequence without an initial value", () => {
+      assert.throws(() => Seq.from([]).reduce((a, b) => a + b), TypeError);
+      assert.strictEqual(Seq.from([]).reduce((a, b) => a + b, 0), 0);
+    });
+  });
+
+  describe("flatten", () => {
+    it("keeps a nested AsyncSeq as a value", () => {
+      const inner = AsyncSeq.from([1, 2]);
+      assert.deepStrictEqual(Seq.from([[0], inner, Seq.from([3])]).flatten().toArray(), [0, inner, 3]);
+    });
+  });
+});
+
+describe("AsyncSeq", () => {
+  describe("reduce", () => {
+    it("seeds with the first element when no initial value is given", async () => {
+      assert.strictEqual(await AsyncSeq.from([1, 2, 3]).reduce(async (a, b) => a + b), 6);
+    });
+
+    it("passes the same indexes as Array#reduce", async () => {
+      const indexes = [];
+      await AsyncSeq.from(["a", "b", "c"]).reduce((acc, value, index) => indexes.push(index));
+      assert.deepStrictEqual(indexes, [1, 2]);
+    });
+
+    it("rejects with a TypeError on an empty sequence without an initial value", async () => {
+      await assert.rejects(AsyncSeq.from([]).reduce((a, b) => a + b), TypeError);
+      assert.strictEqual(await AsyncSeq.from([]).reduce((a, b) => a + b, 0), 0);
+    });
+  });
+
+  describe("flatten", () => {
+    it("opens nested AsyncSeqs and Seqs", async () => {
+      const nested = AsyncSeq.from([AsyncSeq.from([1, 2]), Seq.from([3]), [4]]);
+      assert.deepStrictEqual(await nested.flatten().toArray(), [1, 2, 3, 4]);
+    });
+  });
+});
+
+
+/***********************************************************
+ * JSON Patch
+ ***********************************************************/
+// applyPatch(applyPatch(doc, p), invertPatch(p, doc)) must give doc back
+function assertRoundTrip(doc, patch) {
+  const before = JSON.stringify(doc);
+  const patched = applyPatch(doc, patch);
+  const undo = invertPatch(patch, doc);
+  assert.deepStrictEqual(applyPatch(patched, undo), doc);
+  assert.strictEqual(JSON.stringify(doc), before); // inputs untouched
+  return patched;
+}
+
+describe("JSON Patch", () => {
+  describe("invertPatch round trip", () => {
+    it("undoes a move to \"-\" inside the same array", () => {
+      const patched = assertRoundTrip({ a: ["x", "y", "z"] }, [{ op: "move", from: "/a/0", path: "/a/-" }]);
+      assert.deepStrictEqual(patched, { a: ["y", "z", "x"] });
+    });
+
+    it("undoes same-array moves to explicit indexes", () => {
+      const doc = { a: [1, 2, 3, 4] };
+      assertRoundTrip(doc, [{ op: "move", from: "/a/3", path: "/a/0" }]);
+      assertRoundTrip(doc, [{ op: "move", from: "/a/0", path: "/a/2" }, { op: "move", from: "/a/1", path: "/a/-" }]);
+    });
+
+    it("undoes a move between arrays and over an existing key", () => {
+      assertRoundTrip({ a: [1, 2], b: [3] }, [{ op: "move", from: "/a/0", path: "/b/-" }]);
+      assertRoundTrip({ x: 1, y: 2 }, [{ op: "move", from: "/x", path: "/y" }]);
+    });
+
+    it("undoes \"-\" appends, copies and tests", () => {
+      const doc = { list: [1], user: { name: "Ada", tags: ["a"] } };
+      assertRoundTrip(doc, [
+        { op: "test", path: "/user/name", value: "Ada" },
+        { op: "add", path: "/list/-", value: 2 },
+        { op: "add", path: "/list/-", value: 3 },
+        { op: "copy", from: "/user/tags", path: "/tags" },
+        { op: "copy", from: "/list/0", path: "/user/tags/-" },
+        { op: "add", path: "/user/name", value: "Grace" },
+        { op: "remove", path: "/list/0" },
+        { op: "replace", path: "", value: { reset: true } }
+      ]);
+    });
+
+    it("undoes what diff() produces", () => {
+      const a = { id: 1, items: [{ id: "a", n: 1 }, { id: "b", n: 2 }, { id: "c", n: 3 }], meta: { v: 1 } };
+      const b = { id: 1, items: [{ id: "c", n: 3 }, { id: "a", n: 5 }, { id: "d", n: 4 }], extra: [1] };
+      [diff(a, b), diff(a, b, { arrayKey: "id" })].forEach(patch => {
+        assert.deepStrictEqual(assertRoundTrip(a, patch), b);
+      });
+    });
+
+    it("reports the failing operation's index", () => {
+      assert.throws(
+        () => invertPatch([{ op: "add", path: "/a", value: 1 }, { op: "remove", path: "/missing" }], {}),
+        err => err instanceof JsonPatchError && err.index === 1
+      );
+    });
+  });
+
+  describe("applyPatch", () => {
+    it("writes \"__proto__\" as an own key instead of swapping the prototype", () => {
+      const result = applyPatch({}, [{ op: "add", path: "/__proto__", value: { polluted: 1 } }]);
+      assert.strictEqual(Object.getPrototypeOf(result), Object.prototype);
+      assert.strictEqual(result.polluted, undefined);
+      assert.deepStrictEqual(Object.keys(result), ["__proto__"]);
+
+      const replaced = applyPatch(JSON.parse('{"__proto__": 1}'), [{ op: "replace", path: "/__proto__", value: { polluted: 1 } }]);
+      assert.strictEqual(replaced.polluted, undefined);
+      assert.strictEqual({}.polluted, undefined);
+    });
+  });
+});
+
+
+run();
@@ -4,10 +4,15 @@
  * What does once do?
  * - Ensures a function runs only once
  * - Future calls return the cached result
+ * - wrapper.called → has fn completed?
+ * - wrapper.reset() → forget the result, the next call runs fn again
+ * - If fn throws, nothing is cached: the error propagates and the next call
+ *   tries again (instead of silently returning undefined forever)
  *
  * Why implement it this way?
  * - Use a flag (`called`) to track if function was already invoked
  * - Store result so subsequent calls return same value
+ * - Set the flag only after fn returns → a throw leaves the wrapper unused
  *
  * Time Complexity: O(1)
  * Space Complexity: O(1)
@@ -17,19 +22,104 @@
  */
 function once(fn) {
   let called = false, result;
-  return function(...args) {
+  function wrapper(...args) {
     if (!called) {
+      result = fn.apply(this, args); // execute once (a throw skips the next line)
       called = true;
-      result = fn.apply(this, args); // execute once
     }
     return result; // always return cached result
+  }
+  Object.defineProperty(wrapper, "called", { get: () => called });
+  wrapper.reset = () => {
+    called = false;
+    result = undefined; // don't keep the old result alive
+  };
+  return wrapper;
+}
+
+/**
+ * Async version: onceAsync
+ *
+ * - Concurrent callers share one in-flight promise → fn starts exactly once
+ *   ("connect to DB only once", even when 10 requests arrive during startup)
+ * - Resolved value is cached like once()
+ * - Rejection: cached by default (every caller sees the same failure);
+ *   { retry: true } → the next call after a rejection runs fn again
+ * - State is kept per `this`: as a prototype method, every instance connects
+ *   once on its own; plain calls share one state
+ * - wrapper.called / wrapper.reset() for plain calls;
+ *   wrapper.calledFor(instance) / wrapper.reset(instance) per instance;
+ *   wrapper.resetAll() clears every instance
+ *
+ * Why implement it this way?
+ * - Cache the promise, not the value → callers that arrive while fn is still
+ *   running join it instead of starting a second run
+ * - WeakMap keyed by `this` → instances can be garbage collected
+ *
+ * Time Complexity: O(1)
+ * Space Complexity: O(i) – i = instances that called it
+ */
+function onceAsync(fn, { retry = false } = {}) {
+  const shared = { called: false, promise: null };
+  let perInstance = new WeakMap();
+
+  const stateFor = thisArg => {
+    const isInstance = (typeof thisArg === "object" && thisArg !== null) || typeof thisArg === "function";
+    if (!isInstance) return shared;
+    let state = perInstance.get(thisArg);
+    if (!state) {
+      state = { called: false, promise: null };
+      perInstance.set(thisArg, state);
+    }
+    return state;
+  };
+
+  function wrapper(...args) {
+    const state = stateFor(this);
+    if (!state.promise) {
+      state.called = true;
+      const promise = new Promise(resolve => resolve(fn.apply(this, args))); // sync throw → rejection
+      state.promise = promise;
+      if (retry) {
+        promise.then(undefined, () => {
+          if (state.promise !== promise) return; // reset() already happened
+          state.promise = null;
+          state.called = false;
+        });
+      }
+    }
+    return state.promise;
+  }
+
+  Object.defineProperty(wrapper, "called", { get: () => shared.called });
+  wrapper.calledFor = instance => stateFor(instance).called;
+  wrapper.reset = instance => {
+    const state = stateFor(instance);
+    state.called = false;
+    state.promise = null;
   };
+  wrapper.resetAll = () => {
+    wrapper.reset();
+    perInstance = new WeakMap();
+  };
+  return wrapper;
 }
 
 /**
+ * Example:
+ *   class Repo {
+ *     connect = onceAsync(function() { return openConnection(this.url); }, { retry: true });
+ *   }
+ *   // or shared per instance: Repo.prototype.connect = onceAsync(function() { ... });
+ *   await Promise.all([repo.connect(), repo.connect()]); // one connection
+ *
  * Follow-up Questions:
- * - How to reset once? (allow it to run again)
- * - How would you make an async once (e.g., connect to DB only once)?
+ * - How to reset once? (wrapper.reset())
+ * - How would you make an async once (e.g., connect to DB only once)? (→ onceAsync)
+ * - Why is a plain once() + async fn not enough? (it already caches the promise,
+ *   but a rejection stays cached forever and `this` is shared by all instances)
+ * - Should retry be automatic with backoff? (that's a retry helper's job;
+ *   onceAsync only decides whether the next call may run again)
  */
 
 
@@ -40,54 +130,485 @@ function once(fn) {
  * What does memoize do?
  * - Caches results of function calls
  * - Returns cached result if called with same arguments
+ * - memoize(fn, options) – options:
+ *   - resolver(...args) → cache key (lodash style; `this` is passed through).
+ *     memoize(fn, resolver) also works
+ *   - keyMode: "stable" (default) → key = stableStringify(args)
+ *              "identity" → arguments compared by reference (===), via a WeakMap trie
+ *   - maxSize: keep at most N results, evict the least recently used
+ *   - ttl: ms a result stays valid; expired entries count as misses
+ * - memoized.cache → { size, has(...args), delete(...args), clear(), stats() }
+ *   stats() → { hits, misses, evictions, expirations, size }
  *
  * Why implement it this way?
- * - Use a Map for cache
- * - Use JSON.stringify(args) as key (simple but not perfect)
+ * - JSON.stringify(args) as key breaks in four ways: throws on cycles,
+ *   {a,b} !== {b,a}, every function/undefined collapses to null, and the
+ *   cache grows forever
+ * - stableStringify: sorted object keys, tags for undefined/NaN/-0/BigInt/
+ *   Date/RegExp/Map/Set, a per-function/per-symbol id (weakly held; registered
+ *   symbols use their Symbol.for key), and "[Circular]" markers → same shape ⇒
+ *   same key, different values ⇒ different keys
+ * - Identity mode skips serialising: walk one trie level per argument.
+ *   Objects/functions go in a WeakMap level (the trie never keeps them alive),
+ *   primitives in a Map level. The leaf holds a unique token used as cache key.
+ *   Lookups never add nodes; when the cache drops a token (LRU, ttl, delete,
+ *   clear) its path is pruned, so the trie stays as big as the cache
+ * - LRU via Map insertion order: a hit re-inserts the key (moves it to the end),
+ *   overflow deletes the first key → O(1) without a linked list
+ * - TTL checked lazily on read → no timers
  *
  * Time Complexity:
- * - Cache hit: O(1)
- * - Cache miss: O(1) + cost of fn
- * Space Complexity: O(n) for cache
+ * - Cache hit/miss: O(k) to build the key (k = size of args; O(args) in identity mode)
+ * - Bookkeeping (LRU, TTL): O(1)
+ * Space Complexity: O(min(n, maxSize)) entries
  *
  * Performance Considerations:
  * - Great for expensive pure functions (e.g., Fibonacci, API calls)
- * - JSON.stringify has cost → weak for large objects
- */
-function memoize(fn) {
-  const cache = new Map();
-  return function(...args) {
-    const key = JSON.stringify(args);
-    if (cache.has(key)) return cache.get(key); // fast return
-    const result = fn.apply(this, args);
-    cache.set(key, result);
+ * - Stable keys still cost O(size of args) → identity mode or a resolver for big objects
+ * - Identity mode: mutate an argument and you still get the old result
+ * - Results stay cached until evicted, even in identity mode → set maxSize/ttl
+ *   for long-lived processes
+ */
+function memoize(fn, options = {}) {
+  if (typeof options === "function") options = { resolver: options };
+  const { resolver, keyMode = "stable", maxSize = Infinity, ttl = Infinity } = options;
+  if (keyMode !== "stable" && keyMode !== "identity") {
+    throw new RangeError(`keyMode must be "stable" or "identity". Received ${keyMode}`);
+  }
+
+  const trie = keyMode === "identity" && !resolver ? createKeyTrie() : null;
+  const store = createMemoCache(maxSize, ttl, trie && trie.release);
+  // Identity mode: finds an existing token (or undefined), never grows the trie
+  const keyFor = (thisArg, args) => {
+    if (resolver) return resolver.apply(thisArg, args);
+    return trie ? trie.find(args) : stableStringify(args);
+  };
+
+  function memoized(...args) {
+    const key = keyFor(this, args);
+    const entry = store.lookup(key);
+    if (entry) return entry.value; // fast return
+    const result = fn.apply(this, args); // a throw caches nothing
+    store.set(trie ? trie.tokenFor(args) : key, result);
     return result;
+  }
+
+  memoized.cache = {
+    get size() {
+      return store.entries.size;
+    },
+    has: (...args) => store.peek(keyFor(undefined, args)) !== undefined,
+    delete: (...args) => store.delete(keyFor(undefined, args)),
+    clear: () => store.clear(),
+    stats: () => ({ ...store.stats, size: store.entries.size })
   };
+  return memoized;
+}
+
+// key → { value, expires }; Map order = least → most recently used.
+// onDrop(key) runs whenever a key leaves the cache (evicted, expired, deleted, cleared).
+function createMemoCache(maxSize, ttl, onDrop) {
+  const entries = new Map();
+  const stats = { hits: 0, misses: 0, evictions: 0, expirations: 0 };
+
+  const drop = key => {
+    entries.delete(key);
+    if (onDrop) onDrop(key);
+  };
+
+  // Entry if present and fresh; drops it if expired. No stats, no LRU bump.
+  const peek = key => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      drop(key);
+      stats.expirations++;
+      return undefined;
+    }
+    return entry;
+  };
+
+  return {
+    entries,
+    stats,
+    peek,
+    delete(key) {
+      if (!entries.has(key)) return false;
+      drop(key);
+      return true;
+    },
+    clear() {
+      [...entries.keys()].forEach(drop);
+    },
+    lookup(key) {
+      const entry = peek(key);
+      if (!entry) {
+        stats.misses++;
+        return undefined;
+      }
+      entries.delete(key); // move to the most-recent end
+      entries.set(key, entry);
+      stats.hits++;
+      return entry;
+    },
+    set(key, value) {
+      entries.delete(key);
+      entries.set(key, { value, expires: ttl === Infinity ? Infinity : Date.now() + ttl });
+      while (entries.size > maxSize) {
+        drop(entries.keys().next().value); // least recently used
+        stats.evictions++;
+      }
+    }
+  };
+}
+
+// args → unique token; same references (and primitives) ⇒ same token.
+// - tokenFor(args): token for args, creating the path if needed
+// - find(args): existing token or undefined, creates nothing
+// - release(token): forget the token and prune nodes no other token uses
+// Each node counts the tokens below it; a weak-level node remembers its key
+// through a WeakRef, so pruning never keeps an argument alive.
+function createKeyTrie() {
+  const root = createTrieNode(null, undefined, false);
+
+  // arity is the first level → f(a) and f(a, undefined) differ
+  const path = args => [args.length, ...args];
+
+  return {
+    tokenFor(args) {
+      let node = root;
+      for (const arg of path(args)) node = descend(node, arg);
+      if (!node.token) {
+        node.token = { node };
+        for (let n = node; n !== root; n = n.parent) n.count++;
+      }
+      return node.token;
+    },
+    find(args) {
+      let node = root;
+      for (const arg of path(args)) {
+        node = childOf(node, arg);
+        if (!node) return undefined;
+      }
+      return node.token || undefined;
+    },
+    release(token) {
+      const leaf = token.node;
+      if (leaf.token !== token) return; // already released
+      leaf.token = null;
+      for (let n = leaf; n !== root; n = n.parent) {
+        if (--n.count === 0) unlink(n);
+      }
+    }
+  };
+
+  function descend(node, arg) {
+    const isReference = isTrieReference(arg);
+    const level = isReference
+      ? node.weak || (node.weak = new WeakMap())
+      : node.strong || (node.strong = new Map()); // Map: NaN finds NaN
+    let child = level.get(arg);
+    if (!child) {
+      child = createTrieNode(node, arg, isReference);
+      level.set(arg, child);
+    }
+    return child;
+  }
+
+  function childOf(node, arg) {
+    const level = isTrieReference(arg) ? node.weak : node.strong;
+    return level ? level.get(arg) : undefined;
+  }
+
+  function unlink(node) {
+    const { parent } = node;
+    if (node.keyRef) {
+      const key = node.keyRef.deref(); // undefined → collected, WeakMap entry is gone already
+      if (key !== undefined && parent.weak.get(key) === node) parent.weak.delete(key);
+    } else if (parent.strong.get(node.key) === node) {
+      parent.strong.delete(node.key);
+    }
+  }
+}
+
+function createTrieNode(parent, key, isReference) {
+  return {
+    parent,
+    key: isReference ? undefined : key,
+    keyRef: isReference ? new WeakRef(key) : null,
+    weak: null,
+    strong: null,
+    token: null,
+    count: 0 // tokens at or below this node
+  };
+}
+
+function isTrieReference(arg) {
+  return (typeof arg === "object" && arg !== null) || typeof arg === "function";
+}
+
+// Deterministic, collision-aware serialisation for cache keys.
+// Functions and unregistered symbols get an id from a WeakMap (Node 20+ allows
+// symbols as keys) → ids never keep them alive.
+const stableIds = { next: 0, refs: new WeakMap() };
+
+function stableId(value) {
+  if (!stableIds.refs.has(value)) stableIds.refs.set(value, ++stableIds.next);
+  return stableIds.refs.get(value);
+}
+
+function stableStringify(value, stack = []) {
+  switch (typeof value) {
+    case "string":
+      return JSON.stringify(value);
+    case "number":
+      return Object.is(value, -0) ? "-0" : String(value); // NaN, Infinity as-is
+    case "bigint":
+      return `${value}n`;
+    case "boolean":
+      return String(value);
+    case "undefined":
+      return "undefined";
+    case "symbol": {
+      const registered = Symbol.keyFor(value); // Symbol.for() symbols can't be weak keys
+      return registered === undefined ? `Symbol#${stableId(value)}` : `Symbol.for(${JSON.stringify(registered)})`;
+    }
+    case "function":
+      return `Function#${stableId(value)}`;
+  }
+  if (value === null) return "null";
+
+  const cycleAt = stack.indexOf(value);
+  if (cycleAt !== -1) return `[Circular~${stack.length - cycleAt}]`; // how many levels up
+
+  stack.push(value);
+  const encode = v => stableStringify(v, stack);
+  let result;
+  if (Array.isArray(value)) {
+    result = `[${value.map(encode).join(",")}]`;
+  } else if (value instanceof Date) {
+    result = `Date(${value.getTime()})`;
+  } else if (value instanceof RegExp) {
+    result = `RegExp(${value})`;
+  } else if (value instanceof Map) {
+    result = `Map{${[...value].map(([k, v]) => `${encode(k)}=>${encode(v)}`).sort().join(",")}}`;
+  } else if (value instanceof Set) {
+    result = `Set{${[...value].map(encode).sort().join(",")}}`;
+  } else {
+    const proto = Object.getPrototypeOf(value);
+    const name = proto && proto !== Object.prototype && proto.constructor ? proto.constructor.name : "";
+    const body = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${encode(value[key])}`);
+    result = `${name}{${body.join(",")}}`;
+  }
+  stack.pop();
+  return result;
 }
 
 /**
  * Async version: memoizeAsync
  *
  * - Handles async functions (returns promises)
- * - Cache stores promises too
- * - Ensures concurrent calls with same args share one promise
- */
-function memoizeAsync(fn) {
-  const cache = new Map();
-  return async function(...args) {
-    const key = JSON.stringify(args);
-    if (cache.has(key)) return cache.get(key);
-    const promise = fn.apply(this, args);
-    cache.set(key, promise);
-    return promise;
+ * - Concurrent calls with the same args share one in-flight request (dedupe)
+ * - memoizeAsync(fn, options) – options:
+ *   - resolver / keyMode: same as memoize
+ *   - ttl: ms a result is fresh (default Infinity)
+ *   - staleWhileRevalidate: extra ms after ttl where the stale value is still
+ *     returned immediately while one background call refreshes it
+ *   - evictFailures (default true): a rejection is not cached, the key is
+ *     evicted and the next call retries. false → the rejection is cached like
+ *     a result (same ttl / staleWhileRevalidate), so a failing backend isn't
+ *     hammered. Either way, a failed background refresh keeps the stale value
+ *     until its window ends
+ *   - passSignal (default false): fn gets one extra trailing { signal } argument
+ *     → pass it to fetch() so that the last abort really cancels the network
+ *     call. Opt-in, so fns with optional/default/rest params see exactly the
+ *     arguments they were called with
+ * - memoized.withSignal(signal, ...args): this caller can give up (rejects with
+ *   signal.reason / AbortError) without cancelling the shared request for others.
+ *   Only when every waiting caller has aborted is the request itself aborted
+ * - memoized.invalidate(...args) → drop one key; memoized.clear() → drop all
+ *   (an in-flight request for a dropped key still resolves for its callers,
+ *   but its result isn't stored)
+ *
+ * Why implement it this way?
+ * - Entry = { value, hasValue, failed, updatedAt, inflight }: the last settled
+ *   result and the current request live side by side → stale-while-revalidate
+ *   needs no second map
+ * - Per-request AbortController + waiter count → abort is reference counted
+ * - Callers without a signal "pin" the request: nobody can abort it under them
+ * - Identity checks (entries.get(key) === entry, entry.inflight === inflight)
+ *   stop late results from overwriting a newer entry after invalidate()
+ *
+ * Time Complexity: O(k) per call for the key, O(1) bookkeeping
+ * Space Complexity: O(n) keys
+ */
+function memoizeAsync(fn, options = {}) {
+  if (typeof options === "function") options = { resolver: options };
+  const {
+    resolver,
+    keyMode = "stable",
+    ttl = Infinity,
+    staleWhileRevalidate = 0,
+    evictFailures = true,
+    passSignal = false
+  } = options;
+  if (keyMode !== "stable" && keyMode !== "identity") {
+    throw new RangeError(`keyMode must be "stable" or "identity". Received ${keyMode}`);
+  }
+
+  const trie = keyMode === "identity" && !resolver ? createKeyTrie() : null;
+  const keyFor = (thisArg, args) => {
+    if (resolver) return resolver.apply(thisArg, args);
+    return trie ? trie.find(args) : stableStringify(args);
+  };
+  const entries = new Map(); // key → { value, hasValue, failed, updatedAt, inflight }
+  const drop = key => {
+    if (!entries.delete(key)) return false;
+    if (trie) trie.release(key);
+    return true;
+  };
+
+  function start(key, entry, thisArg, args, background) {
+    const controller = new AbortController();
+    const inflight = { promise: null, controller, waiters: 0, pinned: false, background, settled: false };
+    const isCurrent = () => entries.get(key) === entry && entry.inflight === inflight;
+
+    const callArgs = passSignal ? [...args, { signal: controller.signal }] : args;
+    const settle = (failed, result) => {
+      entry.value = result;
+      entry.hasValue = true;
+      entry.failed = failed;
+      entry.updatedAt = Date.now();
+    };
+
+    inflight.promise = new Promise(resolve => resolve(fn.apply(thisArg, callArgs)))
+      .then(
+        value => {
+          inflight.settled = true;
+          if (isCurrent()) settle(false, value);
+          if (entry.inflight === inflight) entry.inflight = null;
+          return value;
+        },
+        err => {
+          inflight.settled = true;
+          if (isCurrent() && !entry.hasValue) {
+            if (evictFailures) drop(key);
+            else settle(true, err);
+          }
+          if (entry.inflight === inflight) entry.inflight = null;
+          throw err;
+        }
+      );
+    if (background) inflight.promise.catch(() => {}); // nobody awaits a background refresh
+    entry.inflight = inflight;
+    return inflight;
+  }
+
+  function join(key, entry, inflight, signal) {
+    if (!signal) {
+      inflight.pinned = true;
+      return inflight.promise;
+    }
+
+    inflight.waiters++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        inflight.waiters--;
+        reject(signalAbortReason(signal));
+        const abandoned = inflight.waiters === 0 && !inflight.pinned && !inflight.background;
+        if (!abandoned || inflight.settled) return;
+        inflight.controller.abort(signalAbortReason(signal)); // last caller gone → cancel the work
+        if (entry.inflight === inflight) entry.inflight = null;
+        if (entries.get(key) === entry && !entry.hasValue) drop(key);
+      };
+      signal.addEventListener("abort", onAbort, { once: true });
+      inflight.promise.then(
+        value => {
+          signal.removeEventListener("abort", onAbort);
+          resolve(value);
+        },
+        err => {
+          signal.removeEventListener("abort", onAbort);
+          reject(err);
+        }
+      );
+    });
+  }
+
+  function call(thisArg, signal, args) {
+    if (signal && signal.aborted) return Promise.reject(signalAbortReason(signal));
+
+    let key = keyFor(thisArg, args);
+    let entry = entries.get(key);
+
+    if (entry && entry.hasValue) {
+      const age = Date.now() - entry.updatedAt;
+      const cached = () => (entry.failed ? Promise.reject(entry.value) : Promise.resolve(entry.value));
+      if (age < ttl) return cached(); // fresh
+      if (age < ttl + staleWhileRevalidate) {
+        const stale = cached(); // before start(): a quick refresh must not swap the value
+        if (!entry.inflight) start(key, entry, thisArg, args, true);
+        return stale; // stale, refreshing in the background
+      }
+      entry.hasValue = false; // too old to serve
+      entry.value = undefined;
+      entry.failed = false;
+    }
+
+    if (!entry) {
+      if (trie) key = trie.tokenFor(args);
+      entry = { value: undefined, hasValue: false, failed: false, updatedAt: 0, inflight: null };
+      entries.set(key, entry);
+    }
+    const inflight = entry.inflight || start(key, entry, thisArg, args, false);
+    return join(key, entry, inflight, signal);
+  }
+
+  function memoized(...args) {
+    return call(this, null, args);
+  }
+  memoized.withSignal = function(signal, ...args) {
+    return call(this, signal, args);
   };
+  memoized.invalidate = (...args) => drop(keyFor(undefined, args));
+  memoized.clear = () => [...entries.keys()].forEach(drop);
+  return memoized;
+}
+
+// Same as abortReason() in promises.js; copied because this file loads on its own
+function signalAbortReason(signal) {
+  if (signal.reason !== undefined) return signal.reason;
+  if (typeof DOMException === "function") return new DOMException("This operation was aborted", "AbortError");
+  const err = new Error("This operation was aborted");
+  err.name = "AbortError";
+  return err;
 }
 
+/**
+ * Example:
+ *   const getUser = memoizeAsync(
+ *     (id, { signal }) => fetch(`/api/users/${id}`, { signal }).then(r => r.json()),
+ *     { ttl: 30_000, staleWhileRevalidate: 5 * 60_000, passSignal: true }
+ *   );
+ *   const controller = new AbortController();
+ *   getUser.withSignal(controller.signal, 42); // component A
+ *   getUser(42);                               // component B → same request
+ *   controller.abort();                        // A gives up, B still gets the user
+ *   getUser.invalidate(42);                    // after a PUT /api/users/42
+ */
+
 /**
  * Follow-up Questions:
- * - How to implement cache expiration (TTL)?
- * - How to limit cache size (LRU Cache)?
+ * - How to implement cache expiration (TTL)? (store expires per entry, check on read)
+ * - How to limit cache size (LRU Cache)? (Map re-insert on hit, delete first key on overflow)
+ * - Why a WeakMap trie and not a WeakMap keyed by the args array? (a new
+ *   array per call is never the same key; each argument needs its own level)
  * - What’s the difference between memoize and once?
+ * - Why not cache the rejected promise by default? (one timeout would poison the
+ *   key until reload; failures are usually transient. evictFailures: false is
+ *   negative caching – fine with a short ttl)
+ * - Stale-while-revalidate vs ttl only? (users see data instantly, at the cost
+ *   of it being up to ttl + window old)
  */
 
 
@@ -137,7 +658,397 @@ async function flattenAsync(arr, depth = 1) {
 /**
  * Follow-up Questions:
  * - How to flatten infinitely deep arrays? (depth = Infinity)
- * - How would you implement a lazy flatten (generator)?
+ * - How would you implement a lazy flatten (generator)? (→ Seq.flatten below)
+ */
+
+
+
+/**
+ * Seq / AsyncSeq – lazy iterator pipelines
+ *
+ * What do they do?
+ * - Seq.from(iterable) / AsyncSeq.from(asyncIterable | iterable) wrap any source:
+ *   arrays, Sets, Maps, generators, streams, paginated API generators, ...
+ * - Chainable, lazy: map, filter, flatten(depth), chunk(size), take(n), skip(n),
+ *   zip(...others), uniqBy(fn)
+ * - Terminal (pull everything through): reduce(fn, initial?), groupBy(fn) → Map, toArray()
+ * - Elements are pulled one at a time, only when the consumer asks:
+ *   Seq.from(hugeFile).filter(isValid).map(parse).take(10).toArray()
+ *   reads until 10 valid rows exist, then stops reading
+ * - Short-circuit closes upstream: take()/zip() stopping early calls return()
+ *   on the sources → generators run their finally blocks, streams release handles
+ * - AsyncSeq: callbacks may be async; steps run one element at a time (no
+ *   hidden concurrency)
+ *
+ * Why implement it this way?
+ * - Each operator is a generator over the previous Seq → nothing runs until
+ *   iterated, and memory is O(1) per stage (chunk: O(size), uniqBy: O(unique keys))
+ * - flatten keeps an explicit stack of iterators instead of recursing →
+ *   nesting 100k levels deep doesn't overflow the call stack
+ * - Only arrays (and Seqs) are flattened, like Array.prototype.flat –
+ *   strings are iterable but stay whole. AsyncSeq.flatten also opens nested
+ *   AsyncSeqs; a sync Seq yields them as values
+ * - reduce() follows Array#reduce: without an initial value the first element
+ *   is the seed, and an empty sequence throws a TypeError
+ * - groupBy/reduce are terminal on purpose: grouping needs every element, so it
+ *   can't be lazy
+ *
+ * Time Complexity: O(k) for the k elements actually pulled
+ * Space Complexity: O(1) per stage (see above), O(n) for groupBy/toArray
+ */
+class Seq {
+  constructor(source) {
+    this.source = source; // anything with [Symbol.iterator]
+  }
+
+  static from(iterable) {
+    return iterable instanceof Seq ? iterable : new Seq(iterable);
+  }
+
+  [Symbol.iterator]() {
+    return this.source[Symbol.iterator]();
+  }
+
+  map(fn) {
+    return deriveSeq(this, function* (source) {
+      let index = 0;
+      for (const value of source) yield fn(value, index++);
+    });
+  }
+
+  filter(fn) {
+    return deriveSeq(this, function* (source) {
+      let index = 0;
+      for (const value of source) {
+        if (fn(value, index++)) yield value;
+      }
+    });
+  }
+
+  flatten(depth = 1) {
+    return deriveSeq(this, function* (source) {
+      const stack = [{ iterator: source[Symbol.iterator](), depth }];
+      try {
+        while (stack.length) {
+          const top = stack[stack.length - 1];
+          const { value, done } = top.iterator.next();
+          if (done) {
+            stack.pop();
+          } else if (top.depth > 0 && isFlattenable(value, false)) {
+            stack.push({ iterator: value[Symbol.iterator](), depth: top.depth - 1 }); // go one level in
+          } else {
+            yield value;
+          }
+        }
+      } finally {
+        // consumer stopped early → close every open level, innermost first
+        while (stack.length) closeIterator(stack.pop().iterator);
+      }
+    });
+  }
+
+  chunk(size) {
+    if (!(size >= 1)) throw new RangeError(`chunk size must be >= 1, got ${size}`);
+    return deriveSeq(this, function* (source) {
+      let batch = [];
+      for (const value of source) {
+        batch.push(value);
+        if (batch.length === size) {
+          yield batch;
+          batch = [];
+        }
+      }
+      if (batch.length) yield batch; // last chunk may be smaller
+    });
+  }
+
+  take(n) {
+    return deriveSeq(this, function* (source) {
+      if (n <= 0) return;
+      let count = 0;
+      for (const value of source) {
+        yield value;
+        if (++count >= n) return; // don't pull element n + 1
+      }
+    });
+  }
+
+  skip(n) {
+    return deriveSeq(this, function* (source) {
+      let count = 0;
+      for (const value of source) {
+        if (count++ >= n) yield value;
+      }
+    });
+  }
+
+  // [a0, b0, ...], [a1, b1, ...] – stops at the shortest source
+  zip(...others) {
+    return deriveSeq(this, function* (source) {
+      const iterators = [source, ...others].map(s => s[Symbol.iterator]());
+      try {
+        while (true) {
+          const tuple = [];
+          for (const iterator of iterators) {
+            const { value, done } = iterator.next();
+            if (done) return;
+            tuple.push(value);
+          }
+          yield tuple;
+        }
+      } finally {
+        iterators.forEach(closeIterator);
+      }
+    });
+  }
+
+  // First element per key wins; only the keys are remembered
+  uniqBy(fn) {
+    return deriveSeq(this, function* (source) {
+      const seen = new Set();
+      for (const value of source) {
+        const key = fn(value);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        yield value;
+      }
+    });
+  }
+
+  // Array#reduce semantics: no initial value → the first element seeds acc
+  reduce(fn, initial) {
+    let hasAcc = arguments.length >= 2;
+    let acc = initial;
+    let index = 0;
+    for (const value of this) {
+      if (hasAcc) {
+        acc = fn(acc, value, index);
+      } else {
+        acc = value;
+        hasAcc = true;
+      }
+      index++;
+    }
+    if (!hasAcc) throw new TypeError("Reduce of empty sequence with no initial value");
+    return acc;
+  }
+
+  groupBy(fn) {
+    return this.reduce((groups, value) => {
+      const key = typeof fn === "function" ? fn(value) : value[fn];
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(value);
+      return groups;
+    }, new Map());
+  }
+
+  toArray() {
+    return [...this];
+  }
+}
+
+class AsyncSeq {
+  constructor(source) {
+    this.source = source; // async iterable or plain iterable
+  }
+
+  static from(iterable) {
+    return iterable instanceof AsyncSeq ? iterable : new AsyncSeq(iterable);
+  }
+
+  [Symbol.asyncIterator]() {
+    return toAsyncIterator(this.source);
+  }
+
+  map(fn) {
+    return deriveAsyncSeq(this, async function* (source) {
+      let index = 0;
+      for await (const value of source) yield await fn(value, index++);
+    });
+  }
+
+  filter(fn) {
+    return deriveAsyncSeq(this, async function* (source) {
+      let index = 0;
+      for await (const value of source) {
+        if (await fn(value, index++)) yield value;
+      }
+    });
+  }
+
+  flatten(depth = 1) {
+    return deriveAsyncSeq(this, async function* (source) {
+      const stack = [{ iterator: toAsyncIterator(source), depth }];
+      try {
+        while (stack.length) {
+          const top = stack[stack.length - 1];
+          const { value, done } = await top.iterator.next();
+          if (done) {
+            stack.pop();
+          } else if (top.depth > 0 && isFlattenable(value, true)) {
+            stack.push({ iterator: toAsyncIterator(value), depth: top.depth - 1 });
+          } else {
+            yield value;
+          }
+        }
+      } finally {
+        while (stack.length) await closeIterator(stack.pop().iterator);
+      }
+    });
+  }
+
+  chunk(size) {
+    if (!(size >= 1)) throw new RangeError(`chunk size must be >= 1, got ${size}`);
+    return deriveAsyncSeq(this, async function* (source) {
+      let batch = [];
+      for await (const value of source) {
+        batch.push(value);
+        if (batch.length === size) {
+          yield batch;
+          batch = [];
+        }
+      }
+      if (batch.length) yield batch;
+    });
+  }
+
+  take(n) {
+    return deriveAsyncSeq(this, async function* (source) {
+      if (n <= 0) return;
+      let count = 0;
+      for await (const value of source) {
+        yield value;
+        if (++count >= n) return;
+      }
+    });
+  }
+
+  skip(n) {
+    return deriveAsyncSeq(this, async function* (source) {
+      let count = 0;
+      for await (const value of source) {
+        if (count++ >= n) yield value;
+      }
+    });
+  }
+
+  // Pulls all sources in parallel for each tuple
+  zip(...others) {
+    return deriveAsyncSeq(this, async function* (source) {
+      const iterators = [source, ...others].map(toAsyncIterator);
+      try {
+        while (true) {
+          const results = await Promise.all(iterators.map(iterator => iterator.next()));
+          if (results.some(result => result.done)) return;
+          yield results.map(result => result.value);
+        }
+      } finally {
+        await Promise.all(iterators.map(closeIterator));
+      }
+    });
+  }
+
+  uniqBy(fn) {
+    return deriveAsyncSeq(this, async function* (source) {
+      const seen = new Set();
+      for await (const value of source) {
+        const key = await fn(value);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        yield value;
+      }
+    });
+  }
+
+  async reduce(fn, initial) {
+    let hasAcc = arguments.length >= 2;
+    let acc = initial;
+    let index = 0;
+    for await (const value of this) {
+      if (hasAcc) {
+        acc = await fn(acc, value, index);
+      } else {
+        acc = value;
+        hasAcc = true;
+      }
+      index++;
+    }
+    if (!hasAcc) throw new TypeError("Reduce of empty sequence with no initial value");
+    return acc;
+  }
+
+  groupBy(fn) {
+    return this.reduce(async (groups, value) => {
+      const key = typeof fn === "function" ? await fn(value) : value[fn];
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(value);
+      return groups;
+    }, new Map());
+  }
+
+  toArray() {
+    return this.reduce((all, value) => {
+      all.push(value);
+      return all;
+    }, []);
+  }
+}
+
+// New Seq whose iteration runs generatorFn over `seq` (fresh run per iteration)
+function deriveSeq(seq, generatorFn) {
+  return new Seq({ [Symbol.iterator]: () => generatorFn(seq) });
+}
+
+function deriveAsyncSeq(seq, generatorFn) {
+  return new AsyncSeq({ [Symbol.asyncIterator]: () => generatorFn(seq) });
+}
+
+// A sync Seq can't pull from an AsyncSeq → there it stays a plain value
+function isFlattenable(value, isAsync) {
+  return Array.isArray(value) || value instanceof Seq || (isAsync && value instanceof AsyncSeq);
+}
+
+// Async iterator for async or sync iterables (sync values may be promises)
+function toAsyncIterator(iterable) {
+  if (typeof iterable[Symbol.asyncIterator] === "function") return iterable[Symbol.asyncIterator]();
+  const iterator = iterable[Symbol.iterator]();
+  return {
+    async next() {
+      const { value, done } = iterator.next();
+      return { value: await value, done };
+    },
+    async return() {
+      closeIterator(iterator);
+      return { value: undefined, done: true };
+    }
+  };
+}
+
+// Lets a source clean up when we stop before it is exhausted
+function closeIterator(iterator) {
+  return typeof iterator.return === "function" ? iterator.return() : undefined;
+}
+
+/**
+ * Example – export with millions of rows:
+ *   const rows = AsyncSeq.from(readCsvRows(file))          // async generator
+ *     .filter(row => row.status === "active")
+ *     .uniqBy(row => row.email)
+ *     .map(toApiPayload)
+ *     .chunk(500);
+ *   for await (const batch of rows) await api.bulkInsert(batch); // 500 rows in memory
+ *
+ *   Seq.from([1, [2, [3, [4]]]]).flatten(Infinity).toArray(); // [1, 2, 3, 4]
+ *
+ * Follow-up Questions:
+ * - Why is a lazy pipeline faster than arr.filter().map().slice(0, 10)?
+ *   (no intermediate arrays, and work stops after 10 results)
+ * - Eager vs lazy order of side effects? (lazy runs map/filter interleaved per
+ *   element: f(a) g(a) f(b) g(b) instead of f(a) f(b) g(a) g(b))
+ * - How would you add concurrency to AsyncSeq.map? (keep up to N pending
+ *   promises, yield in order – like MyPromise.map with { concurrency })
+ * - Can you iterate a Seq twice? (yes if the source can – arrays, Sets;
+ *   a generator source is used up after the first pass)
  */
 
 
@@ -147,44 +1058,590 @@ async function flattenAsync(arr, depth = 1) {
  *
  * What does deepEqual do?
  * - Checks if two values are deeply equal
- * - Works for nested objects/arrays
+ * - Works for nested objects/arrays and the built-ins:
+ *   Date, RegExp, Map, Set, typed arrays, ArrayBuffer, DataView, Error,
+ *   boxed primitives (new Number(1)), symbol keys, cyclic structures
+ * - deepEqual(a, b, { mode, customizer }) → boolean
+ * - findDifference(a, b, options) → null when equal, otherwise the FIRST difference:
+ *   { path: ["user", "tags", 2], reason: "values differ", left, right }
+ *   (for Map entries the path step is the Map key itself)
+ *
+ * Modes:
+ * - "strict" (default, like assert.deepStrictEqual):
+ *   primitives by Object.is (NaN equals NaN, 0 !== -0), prototypes must match,
+ *   new Number(1) !== 1
+ * - "loose" (like assert.deepEqual): primitives by == (1 == "1"), prototypes
+ *   ignored ({ a: 1 } equals an instance of class A with a = 1). The built-in
+ *   type must still match (a Date never equals {}, a Map never equals a Set)
+ * - customizer(a, b, path) → true / false decides, undefined → default comparison
+ *   (like lodash isEqualWith; e.g. compare floats with a tolerance)
  *
  * Why implement it this way?
- * - First check strict equality
- * - If objects, compare keys length and values recursively
+ * - Type tag first (Object.prototype.toString) → Date vs {} and Map vs Set
+ *   differ even though neither has own keys
+ * - Own enumerable string AND symbol keys (Object.keys + getOwnPropertySymbols)
+ * - Cycles: pairs (a, b) currently being compared live on a stack; meeting the
+ *   same pair again means "equal so far" → no infinite recursion, and a failed
+ *   trial match (Set/Map object keys) leaves no trace
+ * - Map/Set: primitive keys are looked up directly; object keys need a deep
+ *   match against the not-yet-used entries of the other side
  *
- * Time Complexity: O(n) – n = number of properties
- * Space Complexity: O(n) – recursion stack
+ * Time Complexity: O(n) – n = total nodes; O(n²) worst case for Sets/Maps of objects
+ * Space Complexity: O(d) – recursion depth + comparison stack
  *
  * Performance Considerations:
  * - Expensive for large nested objects
- * - Can be optimized with WeakMap to track visited objects (handle cycles)
+ * - Reporting only the first difference lets it stop early
  */
-function deepEqual(a, b) {
-  if (a === b) return true; // handles primitives, identical refs
-  if (typeof a !== "object" || typeof b !== "object" || a == null || b == null) return false;
+function deepEqual(a, b, options) {
+  return findDifference(a, b, options) === null;
+}
 
-  const keysA = Object.keys(a), keysB = Object.keys(b);
-  if (keysA.length !== keysB.length) return false;
+function findDifference(a, b, { mode = "strict", customizer } = {}) {
+  if (mode !== "strict" && mode !== "loose") {
+    throw new RangeError(`mode must be "strict" or "loose". Received ${mode}`);
+  }
+  return compareValues(a, b, [], { strict: mode === "strict", customizer, stack: new Map() });
+}
+
+function compareValues(a, b, path, ctx) {
+  if (ctx.customizer) {
+    const verdict = ctx.customizer(a, b, path);
+    if (verdict !== undefined) return verdict ? null : difference(path, "customizer returned false", a, b);
+  }
+  if (Object.is(a, b)) return null; // handles primitives, identical refs
+
+  const aIsObject = typeof a === "object" && a !== null;
+  const bIsObject = typeof b === "object" && b !== null;
+  if (!aIsObject || !bIsObject) {
+    // functions and symbols only equal themselves; == only between primitives
+    const looseMatch = !ctx.strict && !aIsObject && !bIsObject &&
+      typeof a !== "function" && typeof b !== "function" && typeof a !== "symbol" && typeof b !== "symbol" &&
+      (a == b || (a !== a && b !== b));
+    return looseMatch ? null : difference(path, "values differ", a, b);
+  }
+
+  // Already comparing this exact pair further up → assume equal (cycle)
+  let partners = ctx.stack.get(a);
+  if (partners && partners.has(b)) return null;
+  if (!partners) ctx.stack.set(a, (partners = new Set()));
+  partners.add(b);
+  try {
+    return compareObjects(a, b, path, ctx);
+  } finally {
+    partners.delete(b);
+    if (partners.size === 0) ctx.stack.delete(a);
+  }
+}
 
-  for (let key of keysA) {
-    if (!keysB.includes(key) || !deepEqual(a[key], b[key])) return false;
+function compareObjects(a, b, path, ctx) {
+  const tag = Object.prototype.toString.call(a);
+  if (tag !== Object.prototype.toString.call(b)) return difference(path, "types differ", a, b);
+  if (ctx.strict && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) {
+    return difference(path, "prototypes differ", a, b);
+  }
+
+  const samePrimitive = (x, y) => (ctx.strict ? Object.is(x, y) : x == y || (x !== x && y !== y));
+  let skipIndices = false;
+
+  switch (tag) {
+    case "[object Array]": {
+      if (a.length !== b.length) return difference([...path, "length"], "lengths differ", a.length, b.length);
+      for (let i = 0; i < a.length; i++) {
+        if ((i in a) !== (i in b)) return difference([...path, i], "hole vs value", a[i], b[i]);
+        const found = compareValues(a[i], b[i], [...path, i], ctx);
+        if (found) return found;
+      }
+      skipIndices = true;
+      break;
+    }
+    case "[object Date]":
+      if (!Object.is(a.getTime(), b.getTime())) return difference(path, "dates differ", a, b);
+      break;
+    case "[object RegExp]":
+      if (String(a) !== String(b) || a.lastIndex !== b.lastIndex) return difference(path, "regular expressions differ", a, b);
+      break;
+    case "[object Number]":
+    case "[object String]":
+    case "[object Boolean]":
+    case "[object BigInt]":
+    case "[object Symbol]":
+      if (!samePrimitive(a.valueOf(), b.valueOf())) return difference(path, "boxed values differ", a, b);
+      skipIndices = tag === "[object String]"; // new String("ab") has index keys
+      break;
+    case "[object Error]":
+      if (a.name !== b.name || a.message !== b.message) return difference(path, "errors differ", a, b);
+      break;
+    case "[object Map]": {
+      const found = compareMaps(a, b, path, ctx);
+      if (found) return found;
+      break;
+    }
+    case "[object Set]": {
+      const found = compareSets(a, b, path, ctx);
+      if (found) return found;
+      break;
+    }
+    case "[object ArrayBuffer]":
+    case "[object SharedArrayBuffer]":
+      if (!sameBytes(new Uint8Array(a), new Uint8Array(b))) return difference(path, "buffers differ", a, b);
+      break;
+    case "[object DataView]":
+      if (!sameBytes(new Uint8Array(a.buffer, a.byteOffset, a.byteLength), new Uint8Array(b.buffer, b.byteOffset, b.byteLength))) {
+        return difference(path, "buffers differ", a, b);
+      }
+      break;
+    case "[object WeakMap]":
+    case "[object WeakSet]":
+    case "[object Promise]":
+      return difference(path, "only equal by reference", a, b); // contents can't be inspected
+    default:
+      if (ArrayBuffer.isView(a)) { // typed arrays
+        if (a.length !== b.length) return difference([...path, "length"], "lengths differ", a.length, b.length);
+        for (let i = 0; i < a.length; i++) {
+          if (!samePrimitive(a[i], b[i])) return difference([...path, i], "values differ", a[i], b[i]);
+        }
+        skipIndices = true;
+      }
+  }
+
+  return compareKeys(a, b, path, ctx, skipIndices);
+}
+
+// Own enumerable string + symbol keys, both directions
+function compareKeys(a, b, path, ctx, skipIndices) {
+  const keysA = ownEnumerableKeys(a, skipIndices);
+  const keysB = ownEnumerableKeys(b, skipIndices);
+  if (keysA.length !== keysB.length) {
+    const inA = new Set(keysA);
+    const extra = keysB.find(key => !inA.has(key));
+    if (extra !== undefined) return difference([...path, extra], "missing on the left", undefined, b[extra]);
+  }
+  for (const key of keysA) {
+    if (!Object.prototype.propertyIsEnumerable.call(b, key)) {
+      return difference([...path, key], "missing on the right", a[key], undefined);
+    }
+    const found = compareValues(a[key], b[key], [...path, key], ctx);
+    if (found) return found;
+  }
+  return null;
+}
+
+function ownEnumerableKeys(object, skipIndices) {
+  const keys = Object.keys(object);
+  const strings = skipIndices ? keys.filter(key => !/^(0|[1-9]\d*)$/.test(key)) : keys;
+  const symbols = Object.getOwnPropertySymbols(object).filter(sym => Object.prototype.propertyIsEnumerable.call(object, sym));
+  return [...strings, ...symbols];
+}
+
+function compareMaps(a, b, path, ctx) {
+  if (a.size !== b.size) return difference([...path, "size"], "sizes differ", a.size, b.size);
+  const unmatched = new Set(b.keys());
+
+  for (const [key, value] of a) {
+    if (b.has(key) && unmatched.has(key)) {
+      unmatched.delete(key);
+      const found = compareValues(value, b.get(key), [...path, key], ctx);
+      if (found) return found;
+      continue;
+    }
+    // Object key (or loose primitive) → look for an equal key among the rest
+    const partner = [...unmatched].find(other =>
+      compareValues(key, other, [], ctx) === null && compareValues(value, b.get(other), [], ctx) === null);
+    if (partner === undefined) return difference([...path, key], "no matching entry", value, undefined);
+    unmatched.delete(partner);
+  }
+  return null;
+}
+
+function compareSets(a, b, path, ctx) {
+  if (a.size !== b.size) return difference([...path, "size"], "sizes differ", a.size, b.size);
+  const unmatched = new Set(b);
+
+  for (const value of a) {
+    if (unmatched.has(value)) {
+      unmatched.delete(value);
+      continue;
+    }
+    const partner = [...unmatched].find(other => compareValues(value, other, [], ctx) === null);
+    if (partner === undefined) return difference(path, "no matching element", value, undefined);
+    unmatched.delete(partner);
+  }
+  return null;
+}
+
+function sameBytes(x, y) {
+  if (x.length !== y.length) return false;
+  for (let i = 0; i < x.length; i++) {
+    if (x[i] !== y[i]) return false;
   }
   return true;
 }
 
+function difference(path, reason, left, right) {
+  return { path, reason, left, right };
+}
+
 /**
+ * Example:
+ *   findDifference({ user: { tags: ["a", "b"] } }, { user: { tags: ["a", "c"] } })
+ *   // → { path: ["user", "tags", 1], reason: "values differ", left: "b", right: "c" }
+ *
+ *   deepEqual(0.1 + 0.2, 0.3, {
+ *     customizer: (x, y) => (typeof x === "number" && typeof y === "number" ? Math.abs(x - y) < 1e-9 : undefined)
+ *   }); // true
+ *
  * Follow-up Questions:
- * - How would you handle cyclic references? (use WeakMap)
- * - How would you handle special objects (Date, RegExp, Map, Set)?
+ * - How would you handle cyclic references? (stack of pairs being compared)
+ * - How would you handle special objects (Date, RegExp, Map, Set)? (switch on the type tag)
  * - Why does JSON.stringify comparison fail in some cases?
+ *   (key order, undefined/NaN/-0/Infinity, Date → string, Map/Set → {}, cycles throw)
+ * - Why is a Set of objects O(n²)? (no hash for structural equality; sort by a
+ *   stable key first to get O(n log n))
  */
 
 
-// once → one-time functions
+
+/**
+ * diff() / applyPatch() / invertPatch() – JSON Patch (RFC 6902)
+ *
+ * What do they do?
+ * - diff(a, b, { arrayKey }) → patch: [{ op, path, value?, from? }] that turns a into b
+ *   - paths are JSON Pointers (RFC 6901): "/users/0/name", "~1" = "/", "~0" = "~"
+ *   - arrays are compared by index by default (add/remove at the end)
+ *   - arrayKey: "id" or item => item.id → array items are matched by identity:
+ *     reordering becomes "move", edits inside an item stay small
+ *     (falls back to index mode for arrays whose items don't all have a key)
+ * - applyPatch(doc, patch, { mutate = false }) → new document
+ *   - ops: add, remove, replace, move, copy, test
+ *   - "test" fails → JsonPatchError, and by default nothing is changed
+ *     (patch runs on a copy: all-or-nothing, like the RFC requires)
+ * - invertPatch(patch, doc) → undo patch: applyPatch(applyPatch(doc, p), invertPatch(p, doc)) ≈ doc
+ *   (needs the original doc: RFC ops don't record what they overwrote)
+ *
+ * Why implement it this way?
+ * - Walks a and b together like deepEqual, emitting ops instead of returning early;
+ *   leaves (and anything that isn't a plain object/array) use deepEqual
+ * - Removals from an array go from the highest index down → earlier removals
+ *   don't shift the indices of later ones
+ * - Keyed mode: drop items whose key is gone, then walk b left to right and
+ *   move/add/recurse so the working copy matches b up to index i
+ * - invertPatch replays the patch on a copy and records, per op, how to undo it
+ *   (old value for replace/remove, remove for add, move back for move)
+ *
+ * Time Complexity:
+ * - diff: O(n) for objects/index arrays; O(m²) worst case for keyed arrays of length m (moves)
+ * - applyPatch: O(p · d) + O(n) for the copy – p ops, d = path depth
+ * Space Complexity: O(n) for copies, O(p) for the patch
+ *
+ * Scope: JSON data (plain objects, arrays, primitives). Dates, Maps etc. are
+ * treated as leaves and replaced whole.
+ */
+class JsonPatchError extends Error {
+  constructor(message, index, operation) {
+    super(index === undefined ? message : `${message} (operation ${index}: ${JSON.stringify(operation)})`);
+    this.name = "JsonPatchError";
+    this.index = index;
+    this.operation = operation;
+  }
+}
+
+function diff(a, b, { arrayKey } = {}) {
+  const keyOf = typeof arrayKey === "function" ? arrayKey : arrayKey != null ? item => item[arrayKey] : null;
+  const ops = [];
+  diffValues(a, b, [], ops, keyOf);
+  return ops;
+}
+
+function diffValues(a, b, path, ops, keyOf) {
+  if (isPlainObject(a) && isPlainObject(b)) {
+    Object.keys(a).forEach(key => {
+      if (!hasOwn(b, key)) ops.push({ op: "remove", path: toPointer([...path, key]) });
+    });
+    Object.keys(b).forEach(key => {
+      if (hasOwn(a, key)) diffValues(a[key], b[key], [...path, key], ops, keyOf);
+      else ops.push({ op: "add", path: toPointer([...path, key]), value: cloneJson(b[key]) });
+    });
+    return;
+  }
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    const keyed = keyOf && [...a, ...b].every(item => item !== null && typeof item === "object" && keyOf(item) !== undefined);
+    if (keyed) diffKeyedArrays(a, b, path, ops, keyOf);
+    else diffIndexedArrays(a, b, path, ops, keyOf);
+    return;
+  }
+
+  if (!deepEqual(a, b)) ops.push({ op: "replace", path: toPointer(path), value: cloneJson(b) });
+}
+
+function diffIndexedArrays(a, b, path, ops, keyOf) {
+  const common = Math.min(a.length, b.length);
+  for (let i = 0; i < common; i++) diffValues(a[i], b[i], [...path, i], ops, keyOf);
+  for (let i = a.length - 1; i >= common; i--) ops.push({ op: "remove", path: toPointer([...path, i]) });
+  for (let i = common; i < b.length; i++) ops.push({ op: "add", path: toPointer([...path, i]), value: cloneJson(b[i]) });
+}
+
+function diffKeyedArrays(a, b, path, ops, keyOf) {
+  const targetKeys = new Set(b.map(keyOf));
+
+  // 1. Items that no longer exist, highest index first
+  const current = [];
+  for (let i = a.length - 1; i >= 0; i--) {
+    if (targetKeys.has(keyOf(a[i]))) current.unshift(a[i]);
+    else ops.push({ op: "remove", path: toPointer([...path, i]) });
+  }
+
+  // 2. Make current[0..i] match b[0..i]
+  b.forEach((target, i) => {
+    const key = keyOf(target);
+    const from = current.findIndex((item, j) => j >= i && keyOf(item) === key);
+    if (from === -1) {
+      ops.push({ op: "add", path: toPointer([...path, i]), value: cloneJson(target) });
+      current.splice(i, 0, target);
+      return;
+    }
+    if (from !== i) {
+      ops.push({ op: "move", from: toPointer([...path, from]), path: toPointer([...path, i]) });
+      current.splice(i, 0, current.splice(from, 1)[0]);
+    }
+    diffValues(current[i], target, [...path, i], ops, keyOf);
+  });
+}
+
+function applyPatch(doc, patch, { mutate = false } = {}) {
+  let root = mutate ? doc : cloneJson(doc);
+  patch.forEach((operation, index) => {
+    try {
+      root = applyOperation(root, operation);
+    } catch (err) {
+      if (err instanceof JsonPatchError && err.index === undefined) {
+        throw new JsonPatchError(err.message, index, operation);
+      }
+      throw err;
+    }
+  });
+  return root;
+}
+
+// Returns the (possibly new) root
+function applyOperation(root, operation) {
+  const { op, path, from, value } = operation;
+  switch (op) {
+    case "add":
+      return addAt(root, parsePointer(path), cloneJson(value));
+    case "remove":
+      return removeAt(root, parsePointer(path));
+    case "replace":
+      return replaceAt(root, parsePointer(path), cloneJson(value));
+    case "move": {
+      if (path === from) return root;
+      if (path.startsWith(`${from}/`)) throw new JsonPatchError(`Cannot move "${from}" into its own child "${path}"`);
+      const moved = getAt(root, parsePointer(from));
+      return addAt(removeAt(root, parsePointer(from)), parsePointer(path), moved);
+    }
+    case "copy":
+      return addAt(root, parsePointer(path), cloneJson(getAt(root, parsePointer(from))));
+    case "test":
+      if (!deepEqual(getAt(root, parsePointer(path)), value)) throw new JsonPatchError(`Test failed at "${path}"`);
+      return root;
+    default:
+      throw new JsonPatchError(`Unknown op "${op}"`);
+  }
+}
+
+function getAt(root, segments) {
+  let node = root;
+  for (const segment of segments) {
+    const index = Array.isArray(node) ? toArrayIndex(node, segment, false) : segment;
+    if (node === null || typeof node !== "object" || !hasOwn(node, index)) {
+      throw new JsonPatchError(`Path "${toPointer(segments)}" does not exist`);
+    }
+    node = node[index];
+  }
+  return node;
+}
+
+function addAt(root, segments, value) {
+  if (segments.length === 0) return value; // whole document
+  const parent = getAt(root, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+  if (Array.isArray(parent)) {
+    parent.splice(last === "-" ? parent.length : toArrayIndex(parent, last, true), 0, value);
+  } else if (parent !== null && typeof parent === "object") {
+    setOwn(parent, last, value);
+  } else {
+    throw new JsonPatchError(`Cannot add to a primitive at "${toPointer(segments.slice(0, -1))}"`);
+  }
+  return root;
+}
+
+function removeAt(root, segments) {
+  if (segments.length === 0) return undefined;
+  const parent = getAt(root, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+  getAt(parent, [last]); // must exist
+  if (Array.isArray(parent)) parent.splice(toArrayIndex(parent, last, false), 1);
+  else delete parent[last];
+  return root;
+}
+
+// Like remove + add, but keeps the key's position in the object
+function replaceAt(root, segments, value) {
+  getAt(root, segments); // must exist
+  if (segments.length === 0) return value;
+  const parent = getAt(root, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+  if (Array.isArray(parent)) parent[toArrayIndex(parent, last, false)] = value;
+  else setOwn(parent, last, value);
+  return root;
+}
+
+// Plain `object[key] = value` with key "__proto__" would swap the prototype
+// (patches come from the network) → always create an own data property
+function setOwn(object, key, value) {
+  Object.defineProperty(object, key, { value, writable: true, enumerable: true, configurable: true });
+}
+
+function toArrayIndex(array, segment, allowEnd) {
+  const max = allowEnd ? array.length : array.length - 1;
+  if (!/^(0|[1-9]\d*)$/.test(segment) || Number(segment) > max) {
+    throw new JsonPatchError(`Invalid array index "${segment}"`);
+  }
+  return Number(segment);
+}
+
+function invertPatch(patch, doc) {
+  let current = cloneJson(doc);
+  const undoGroups = [];
+
+  patch.forEach((operation, index) => {
+    const { op, path, from } = operation;
+    const segments = parsePointer(path);
+    const exists = pointerExists(current, segments);
+    const old = exists ? cloneJson(getAt(current, segments)) : undefined;
+    const parent = segments.length ? getAtSafe(current, segments.slice(0, -1)) : undefined;
+    const intoArray = Array.isArray(parent);
+    const whole = segments.length === 0 ? cloneJson(current) : undefined;
+    let next;
+    try {
+      next = applyOperation(current, operation); // mutates: `current` is our own clone
+    } catch (err) {
+      if (err instanceof JsonPatchError && err.index === undefined) throw new JsonPatchError(err.message, index, operation);
+      throw err;
+    }
+    // "-" means "append" → the concrete index is wherever the value ended up:
+    // the last slot of the target array AFTER the op (a same-array move has
+    // removed `from` first, so that's not the old length)
+    const concretePath = intoArray && segments[segments.length - 1] === "-"
+      ? toPointer([...segments.slice(0, -1), getAt(next, segments.slice(0, -1)).length - 1])
+      : path;
+
+    let undo;
+    switch (op) {
+      case "add":
+      case "copy":
+        if (segments.length === 0) undo = [{ op: "replace", path: "", value: whole }];
+        else if (!intoArray && exists) undo = [{ op: "replace", path, value: old }];
+        else undo = [{ op: "remove", path: concretePath }];
+        break;
+      case "remove":
+        undo = [{ op: "add", path, value: old }];
+        break;
+      case "replace":
+        undo = [{ op: "replace", path, value: old }];
+        break;
+      case "move":
+        undo = [{ op: "move", from: concretePath, path: from }];
+        if (!intoArray && exists && path !== from) undo.push({ op: "add", path, value: old }); // overwritten key
+        break;
+      case "test":
+        undo = [{ op: "test", path, value: cloneJson(operation.value) }];
+        break;
+      default:
+        throw new JsonPatchError(`Unknown op "${op}"`, index, operation);
+    }
+    undoGroups.push(undo);
+    current = next;
+  });
+
+  return undoGroups.reverse().flat();
+}
+
+function pointerExists(root, segments) {
+  try {
+    getAt(root, segments);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function getAtSafe(root, segments) {
+  return pointerExists(root, segments) ? getAt(root, segments) : undefined;
+}
+
+// ["a", "b/c", 0] → "/a/b~1c/0"
+function toPointer(segments) {
+  return segments.map(s => `/${String(s).replace(/~/g, "~0").replace(/\//g, "~1")}`).join("");
+}
+
+// "/a/b~1c/0" → ["a", "b/c", "0"]
+function parsePointer(pointer) {
+  if (pointer === "") return [];
+  if (typeof pointer !== "string" || pointer[0] !== "/") throw new JsonPatchError(`Invalid JSON Pointer "${pointer}"`);
+  return pointer.slice(1).split("/").map(s => s.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+function isPlainObject(value) {
+  if (value === null || typeof value !== "object") return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function cloneJson(value) {
+  if (Array.isArray(value)) return value.map(cloneJson);
+  if (isPlainObject(value)) {
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      setOwn(copy, key, cloneJson(value[key])); // JSON.parse can produce an own "__proto__"
+    });
+    return copy;
+  }
+  return value; // primitives (and leaves like Date) are shared
+}
+
+/**
+ * Example – form sync:
+ *   const patch = diff(savedForm, form, { arrayKey: "id" });
+ *   // [{ op: "replace", path: "/address/city", value: "Berlin" },
+ *   //  { op: "move", from: "/phones/1", path: "/phones/0" }]
+ *   await fetch("/api/profile", { method: "PATCH", body: JSON.stringify(patch),
+ *     headers: { "Content-Type": "application/json-patch+json" } });
+ *   const undo = invertPatch(patch, savedForm); // "Undo" button
+ *
+ * Follow-up Questions:
+ * - Why "test" ops? (optimistic concurrency: [{ op: "test", path: "/version", value: 3 }, ...]
+ *   fails if someone else changed the doc first)
+ * - JSON Patch vs JSON Merge Patch (RFC 7396)? (merge patch is a partial object:
+ *   simpler, but can't express array edits or set a value to null)
+ * - Minimal array diffs? (LCS / Myers diff gives the fewest add/remove ops,
+ *   O(n·d); keyed mode is cheaper when items have ids)
+ */
+
+
+// once + onceAsync → one-time functions (sync + async)
 
 // memoize + memoizeAsync → caching results (sync + async)
 
 // flatten + flattenAsync → array flattening (sync + async promises)
 
-// deepEqual → deep object comparison
\ No newline at end of file
+// Seq + AsyncSeq → lazy pipelines over (async) iterables
+
+// deepEqual → deep object comparison
+
+// diff + applyPatch + invertPatch → JSON Patch (RFC 6902) on top of deepEqual
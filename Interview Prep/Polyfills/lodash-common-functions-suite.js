@@ -0,0 +1,391 @@
+/***********************************************************
+ * Regression tests for lodash-common-functions.js
+ *
+ * Run: node "Interview Prep/Polyfills/lodash-common-functions-suite.js"
+ *
+ * - Self-contained (no npm install): loads lodash-common-functions.js as a plain script
+ * - Covers edge cases that are easy to break and hard to spot by reading:
+ *   throttle's trailing edge with the latest args/this, rafThrottle frames,
+ *   every throttleAsync strategy, abort and a throwing onDrop, cloneDeep of
+ *   built-ins/class instances/getters/shared buffers/Errors in both modes
+ * - Real timers with short delays → keep the margins generous
+ ***********************************************************/
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const util = require("util");
+const vm = require("vm");
+const { describe, it, run } = require("./test-runner");
+
+const source = fs.readFileSync(path.join(__dirname, "lodash-common-functions.js"), "utf8");
+const { throttle, rafThrottle, throttleAsync, ThrottledError, cloneDeep } = vm.runInThisContext(
+  `${source}\n;({ throttle, rafThrottle, throttleAsync, ThrottledError, cloneDeep })`,
+  { filename: "lodash-common-functions.js" }
+);
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Settles every promise and returns its value, or the error's name for a rejection
+const outcomes = promises => Promise.all(promises.map(p => p.then(value => value, err => err.name)));
+
+
+/***********************************************************
+ * throttle / rafThrottle
+ ***********************************************************/
+describe("throttle", () => {
+  it("runs the last call of a burst on the trailing edge with its args and this", async () => {
+    const calls = [];
+    const fn = throttle(function(x) {
+      calls.push([this && this.id, x]);
+      return x;
+    }, 20);
+    assert.strictEqual(fn.call({ id: "a" }, 1), 1); // leading
+    fn.call({ id: "b" }, 2);
+    assert.strictEqual(fn.call({ id: "c" }, 3), 1); // last result until the trailing run
+    await sleep(30);
+    assert.deepStrictEqual(calls, [["a", 1], ["c", 3]]);
+    assert.strictEqual(fn.pending(), true); // the trailing call opened a new window
+    await sleep(30);
+    assert.strictEqual(fn.pending(), false);
+  });
+
+  it("honours leading: false and trailing: false", async () => {
+    const trailingOnly = [];
+    const leadingOnly = [];
+    const a = throttle(x => trailingOnly.push(x), 10, { leading: false });
+    const b = throttle(x => leadingOnly.push(x), 10, { trailing: false });
+    [1, 2, 3].forEach(x => (a(x), b(x)));
+    await sleep(20);
+    assert.deepStrictEqual(trailingOnly, [3]);
+    assert.deepStrictEqual(leadingOnly, [1]);
+  });
+
+  it("flush() runs the pending trailing call now, cancel() drops it", async () => {
+    const calls = [];
+    const fn = throttle(x => (calls.push(x), x * 10), 50);
+    fn(1);
+    fn(2);
+    assert.strictEqual(fn.flush(), 20);
+    assert.strictEqual(fn.pending(), false);
+    fn(3); // leading again: flush ended the cooldown
+    fn(4);
+    fn.cancel();
+    await sleep(60);
+    assert.deepStrictEqual(calls, [1, 2, 3]);
+  });
+});
+
+describe("rafThrottle", () => {
+  // Fake requestAnimationFrame: frames only run when the test says so
+  function withFakeFrames(fn) {
+    const frames = new Map();
+    let nextId = 1;
+    globalThis.requestAnimationFrame = cb => (frames.set(nextId, cb), nextId++);
+    globalThis.cancelAnimationFrame = id => frames.delete(id);
+    const tick = () => {
+      const due = [...frames.values()];
+      frames.clear();
+      due.forEach(cb => cb(0));
+    };
+    try {
+      return fn(tick, frames);
+    } finally {
+      delete globalThis.requestAnimationFrame;
+      delete globalThis.cancelAnimationFrame;
+    }
+  }
+
+  it("runs once per frame with the latest args", () => withFakeFrames((tick, frames) => {
+    const calls = [];
+    const fn = rafThrottle(x => calls.push(x));
+    fn(1);
+    fn(2);
+    assert.strictEqual(frames.size, 1);
+    tick();
+    fn(3);
+    tick();
+    tick();
+    assert.deepStrictEqual(calls, [2, 3]);
+  }));
+
+  it("cancel() unschedules the frame, flush() runs it now", () => withFakeFrames((tick, frames) => {
+    const calls = [];
+    const fn = rafThrottle(x => (calls.push(x), x));
+    fn(1);
+    fn.cancel();
+    assert.strictEqual(frames.size, 0);
+    fn(2);
+    assert.strictEqual(fn.flush(), 2);
+    assert.strictEqual(fn.pending(), false);
+    tick();
+    assert.deepStrictEqual(calls, [2]);
+  }));
+
+  it("falls back to a timeout without requestAnimationFrame", async () => {
+    const calls = [];
+    const fn = rafThrottle(x => calls.push(x));
+    fn(1);
+    fn(2);
+    await sleep(40);
+    assert.deepStrictEqual(calls, [2]);
+  });
+});
+
+
+/***********************************************************
+ * throttleAsync
+ ***********************************************************/
+describe("throttleAsync", () => {
+  describe("strategies", () => {
+    it("drop: rejects calls made during the cooldown", async () => {
+      const fn = throttleAsync(async x => x, 20);
+      assert.deepStrictEqual(await outcomes([fn(1), fn(2)]), [1, "ThrottledError"]);
+      await sleep(40);
+      assert.strictEqual(await fn(3), 3);
+    });
+
+    it("queue: runs every call in order, up to maxQueue waiting", async () => {
+      const ran = [];
+      const fn = throttleAsync(async x => (ran.push(x), x), 5, { strategy: "queue", maxQueue: 2 });
+      const results = await outcomes([fn(1), fn(2), fn(3), fn(4)]);
+      assert.deepStrictEqual(results, [1, 2, 3, "ThrottledError"]);
+      assert.deepStrictEqual(ran, [1, 2, 3]);
+    });
+
+    it("latest: only the most recent waiting call runs", async () => {
+      const ran = [];
+      const fn = throttleAsync(async x => (ran.push(x), x), 5, { strategy: "latest" });
+      assert.deepStrictEqual(await outcomes([fn(1), fn(2), fn(3)]), [1, "ThrottledError", 3]);
+      assert.deepStrictEqual(ran, [1, 3]);
+    });
+
+    it("coalesce: all calls of the window share one run with the latest args", async () => {
+      const ran = [];
+      const fn = throttleAsync(async x => (ran.push(x), x), 5, { strategy: "coalesce" });
+      assert.deepStrictEqual(await outcomes([fn(1), fn(2), fn(3)]), [1, 3, 3]);
+      assert.deepStrictEqual(ran, [1, 3]);
+    });
+
+    it("rejects an unknown strategy", () => {
+      assert.throws(() => throttleAsync(() => {}, 10, { strategy: "fifo" }), RangeError);
+    });
+  });
+
+  describe("abort", () => {
+    it("rejects everything waiting and every later call", async () => {
+      const controller = new AbortController();
+      const dropped = [];
+      const fn = throttleAsync(async x => x, 20, {
+        strategy: "queue",
+        signal: controller.signal,
+        onDrop: args => dropped.push(args[0])
+      });
+      const running = fn(1);
+      const waiting = [fn(2), fn(3)];
+      controller.abort();
+      assert.deepStrictEqual(await outcomes([running, ...waiting, fn(4)]), [1, "AbortError", "AbortError", "AbortError"]);
+      assert.deepStrictEqual(dropped, [2, 3, 4]);
+    });
+
+    it("rejects with signal.reason when one was given", async () => {
+      const controller = new AbortController();
+      const fn = throttleAsync(async x => x, 20, { strategy: "latest", signal: controller.signal });
+      fn(1);
+      const waiting = fn(2);
+      controller.abort(new Error("page closed"));
+      await assert.rejects(waiting, /page closed/);
+    });
+  });
+
+  describe("onDrop", () => {
+    it("runs after the dropped call has rejected", async () => {
+      let droppedCall;
+      const fn = throttleAsync(async x => x, 20, {
+        onDrop: (args, error) => {
+          assert.ok(error instanceof ThrottledError);
+          droppedCall = args;
+        }
+      });
+      fn(1);
+      await assert.rejects(fn(2), ThrottledError);
+      assert.deepStrictEqual(droppedCall, [2]);
+    });
+
+    it("still settles every caller when the hook throws", async () => {
+      const reported = [];
+      const listeners = process.listeners("uncaughtException");
+      process.removeAllListeners("uncaughtException");
+      process.on("uncaughtException", err => reported.push(err.message));
+      try {
+        const controller = new AbortController();
+        const fn = throttleAsync(async x => x, 10, {
+          strategy: "latest",
+          signal: controller.signal,
+          onDrop: () => {
+            throw new Error("hook failed");
+          }
+        });
+        const results = outcomes([fn(1), fn(2), fn(3)]); // 3 supersedes 2
+        controller.abort(); // drops 3
+        assert.deepStrictEqual(await results, [1, "ThrottledError", "AbortError"]);
+        await sleep(10);
+        assert.deepStrictEqual(reported, ["hook failed", "hook failed"]); // rethrown, not swallowed
+      } finally {
+        process.removeAllListeners("uncaughtException");
+        listeners.forEach(listener => process.on("uncaughtException", listener));
+      }
+    });
+  });
+});
+
+
+/***********************************************************
+ * cloneDeep
+ ***********************************************************/
+describe("cloneDeep", () => {
+  describe("full mode", () => {
+    it("copies Date, RegExp (with lastIndex), Map and Set", () => {
+      const pattern = /a/g;
+      pattern.lastIndex = 3;
+      const key = { id: 1 };
+      const source = { when: new Date(0), pattern, map: new Map([[key, [1]]]), set: new Set([key]) };
+      const copy = cloneDeep(source);
+
+      assert.ok(copy.when instanceof Date && copy.when !== source.when);
+      assert.strictEqual(copy.when.getTime(), 0);
+      assert.strictEqual(copy.pattern.lastIndex, 3);
+      assert.strictEqual(copy.pattern.flags, "g");
+      const [copiedKey] = copy.map.keys();
+      assert.notStrictEqual(copiedKey, key);
+      assert.ok(copy.set.has(copiedKey)); // one clone per original, wherever it shows up
+      assert.deepStrictEqual(copy.map.get(copiedKey), [1]);
+    });
+
+    it("keeps class instances, subclasses of built-ins and cycles", () => {
+      class Point {
+        constructor(x) {
+          this.x = x;
+        }
+      }
+      class Registry extends Map {}
+      const registry = new Registry([["self", null]]);
+      registry.set("self", registry);
+      const copy = cloneDeep({ point: new Point(1), registry });
+
+      assert.ok(copy.point instanceof Point);
+      assert.strictEqual(copy.point.x, 1);
+      assert.ok(copy.registry instanceof Registry);
+      assert.strictEqual(copy.registry.get("self"), copy.registry);
+    });
+
+    it("keeps getters as getters and preserves frozen state", () => {
+      let reads = 0;
+      const source = Object.freeze({
+        get value() {
+          reads++;
+          return 1;
+        },
+        [Symbol.for("tag")]: "t"
+      });
+      const copy = cloneDeep(source);
+
+      assert.strictEqual(reads, 0); // not read while cloning
+      assert.strictEqual(typeof Object.getOwnPropertyDescriptor(copy, "value").get, "function");
+      assert.strictEqual(copy[Symbol.for("tag")], "t");
+      assert.ok(Object.isFrozen(copy));
+    });
+
+    it("keeps two views on one buffer sharing one cloned buffer", () => {
+      const buffer = new ArrayBuffer(4);
+      const bytes = new Uint8Array(buffer);
+      const view = new DataView(buffer, 2);
+      bytes.label = "bytes";
+      const copy = cloneDeep({ bytes, view });
+
+      assert.notStrictEqual(copy.bytes.buffer, buffer);
+      assert.strictEqual(copy.bytes.buffer, copy.view.buffer);
+      copy.view.setUint8(0, 7);
+      assert.strictEqual(copy.bytes[2], 7);
+      assert.strictEqual(bytes[2], 0);
+      assert.strictEqual(copy.bytes.label, "bytes");
+    });
+
+    it("shares a SharedArrayBuffer", () => {
+      const shared = new SharedArrayBuffer(8);
+      assert.strictEqual(cloneDeep({ shared }).shared, shared);
+    });
+
+    it("rebuilds Errors as real Errors of the same class", () => {
+      class HttpError extends Error {
+        constructor(message) {
+          super(message);
+          this.name = "HttpError";
+        }
+      }
+      const source = new HttpError("not found");
+      source.status = 404;
+      source.cause = new TypeError("bad url");
+      const copy = cloneDeep(source);
+
+      assert.ok(copy instanceof HttpError);
+      assert.ok(util.types.isNativeError(copy));
+      assert.deepStrictEqual([copy.name, copy.message, copy.status], ["HttpError", "not found", 404]);
+      assert.strictEqual(copy.stack, source.stack);
+      assert.ok(copy.cause instanceof TypeError && copy.cause !== source.cause);
+      assert.deepStrictEqual(Reflect.ownKeys(copy).sort(), Reflect.ownKeys(source).sort());
+    });
+  });
+
+  describe("structured mode", () => {
+    it("matches structuredClone for class instances, getters and Errors", () => {
+      class Point {
+        constructor(x) {
+          this.x = x;
+        }
+      }
+      const source = {
+        point: new Point(1),
+        get computed() {
+          return 2;
+        },
+        error: Object.assign(new RangeError("range"), { cause: "why" }),
+        custom: Object.assign(new Error("custom"), { name: "CustomError" })
+      };
+      const copy = cloneDeep(source, { mode: "structured" });
+      const native = structuredClone(source);
+
+      assert.strictEqual(Object.getPrototypeOf(copy.point), Object.prototype);
+      assert.deepStrictEqual(Object.getOwnPropertyDescriptor(copy, "computed"), Object.getOwnPropertyDescriptor(native, "computed"));
+      assert.ok(copy.error instanceof RangeError);
+      assert.strictEqual(copy.error.cause, "why");
+      assert.strictEqual(copy.custom.name, native.custom.name); // non-standard name → "Error"
+    });
+
+    it("throws a DataCloneError for what structuredClone rejects", () => {
+      const uncloneable = [() => {}, Symbol("s"), new WeakMap(), Promise.resolve(), Object(Symbol("boxed"))];
+      uncloneable.forEach(value => {
+        assert.throws(() => cloneDeep({ value }, { mode: "structured" }), { name: "DataCloneError" });
+        assert.throws(() => structuredClone({ value }), { name: "DataCloneError" });
+      });
+      assert.strictEqual(cloneDeep({ fn: Math.max }).fn, Math.max); // full mode shares them
+    });
+
+    it("resets lastIndex and drops buffer expandos", () => {
+      const pattern = /a/g;
+      pattern.lastIndex = 2;
+      const bytes = Object.assign(new Uint8Array(2), { label: "x" });
+      const copy = cloneDeep({ pattern, bytes }, { mode: "structured" });
+      assert.strictEqual(copy.pattern.lastIndex, 0);
+      assert.strictEqual(copy.bytes.label, undefined);
+    });
+  });
+
+  it("rejects an unknown mode", () => {
+    assert.throws(() => cloneDeep({}, { mode: "shallow" }), RangeError);
+  });
+});
+
+
+run();
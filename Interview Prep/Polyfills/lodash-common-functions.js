@@ -4,9 +4,20 @@
  * What does throttle do?
  * - Ensures a function executes at most once every `limit` ms
  * - Example: window scroll event → run expensive callback max once per 100ms
+ * - throttle(fn, limit, { leading = true, trailing = true }) – same options as lodash:
+ *   - leading: run on the first call of a burst
+ *   - trailing: calls made during the cooldown aren't lost – the LAST one
+ *     (latest args and `this`) runs when the cooldown ends
+ * - Returns the result of the last fn invocation (undefined until fn has run)
+ * - throttled.cancel() → drop the pending trailing call, end the cooldown
+ * - throttled.flush()  → run the pending trailing call now, return its result
+ * - throttled.pending() → is a cooldown (and maybe a trailing call) active?
  *
  * Why implement it this way?
- * - Use a flag `inThrottle` to block further calls until timeout ends
+ * - One timer = the cooldown. Calls during it only overwrite lastArgs/lastThis
+ *   → O(1) memory no matter how many events fire
+ * - A trailing call starts a fresh cooldown → still at most one call per `limit`
+ * - Invoking clears lastArgs → a single call never runs twice (leading + trailing)
  *
  * Time Complexity: O(1) per call
  * Space Complexity: O(1)
@@ -14,16 +25,115 @@
  * Performance Considerations:
  * - Good for events where you need steady updates (scroll, resize)
  * - Prevents function spam
+ * - For visual updates prefer rafThrottle (below): one call per frame
  */
-function throttle(fn, limit) {
-  let inThrottle = false;
-  return function(...args) {
-    if (!inThrottle) {
-      fn.apply(this, args);        // execute immediately
-      inThrottle = true;
-      setTimeout(() => inThrottle = false, limit); // reset after delay
+function throttle(fn, limit, { leading = true, trailing = true } = {}) {
+  let timer = null;
+  let lastArgs = null, lastThis = null;
+  let result;
+
+  const invoke = () => {
+    const args = lastArgs, thisArg = lastThis;
+    lastArgs = lastThis = null;
+    result = fn.apply(thisArg, args);
+  };
+
+  const startCooldown = () => {
+    timer = setTimeout(() => {
+      timer = null;
+      if (trailing && lastArgs) {
+        invoke();
+        startCooldown(); // the trailing call opens a new window
+      } else {
+        lastArgs = lastThis = null;
+      }
+    }, limit);
+  };
+
+  function throttled(...args) {
+    lastArgs = args;   // remember the latest call for the trailing edge
+    lastThis = this;
+    if (timer === null) {
+      if (leading) invoke(); // execute immediately
+      startCooldown();
     }
+    return result;
+  }
+
+  throttled.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+    lastArgs = lastThis = null;
   };
+
+  throttled.flush = () => {
+    if (timer === null) return result;
+    clearTimeout(timer);
+    timer = null;
+    if (trailing && lastArgs) invoke();
+    lastArgs = lastThis = null;
+    return result;
+  };
+
+  throttled.pending = () => timer !== null;
+
+  return throttled;
+}
+
+/**
+ * rafThrottle()
+ *
+ * What does it do?
+ * - At most one call per animation frame, with the latest args/this
+ * - Calls line up with the browser's paint → no work for frames nobody sees
+ *   (scroll-linked animations, drag handles, pointermove)
+ * - Same cancel() / flush() / pending() as throttle
+ *
+ * Why implement it this way?
+ * - requestAnimationFrame is the "timer"; frames are skipped in background tabs
+ *   for free. Falls back to a 16ms timeout where rAF doesn't exist (Node, tests)
+ *
+ * Time Complexity: O(1) per call
+ * Space Complexity: O(1)
+ */
+function rafThrottle(fn) {
+  const hasRaf = typeof requestAnimationFrame === "function";
+  const schedule = hasRaf ? requestAnimationFrame : cb => setTimeout(cb, 16);
+  const unschedule = hasRaf ? cancelAnimationFrame : clearTimeout;
+  let frame = null;
+  let lastArgs = null, lastThis = null;
+  let result;
+
+  const run = () => {
+    frame = null;
+    const args = lastArgs, thisArg = lastThis;
+    lastArgs = lastThis = null;
+    result = fn.apply(thisArg, args);
+  };
+
+  function throttled(...args) {
+    lastArgs = args;
+    lastThis = this;
+    if (frame === null) frame = schedule(run);
+    return result;
+  }
+
+  throttled.cancel = () => {
+    if (frame !== null) unschedule(frame);
+    frame = null;
+    lastArgs = lastThis = null;
+  };
+
+  throttled.flush = () => {
+    if (frame === null) return result;
+    unschedule(frame);
+    run();
+    return result;
+  };
+
+  throttled.pending = () => frame !== null;
+
+  return throttled;
 }
 
 /**
@@ -31,32 +141,140 @@ function throttle(fn, limit) {
  *
  * What changes?
  * - We return a promise that resolves when fn actually runs
- * - Multiple callers during cooldown should be ignored (or queued if you want)
+ * - One fn run at a time; the next may start `limit` ms after the previous settled
+ * - throttleAsync(fn, limit, { strategy, maxQueue, signal, onDrop }) decides what
+ *   happens to calls made during the cooldown:
+ *   - "drop" (default): reject with ThrottledError
+ *   - "queue": FIFO, every call runs in turn with its own result; more than
+ *     maxQueue waiting → the new call is dropped
+ *   - "latest": keep only the most recent waiting call; the one it replaces is
+ *     dropped (autosave: the final edit always gets saved)
+ *   - "coalesce": all calls of the window share ONE next run with the latest
+ *     args/this, and all get its result
+ * - onDrop(args, error) is called for every call that will never run, after
+ *   its promise has rejected; an error thrown by onDrop is rethrown asynchronously
+ * - signal: aborting rejects everything still waiting (and every later call)
+ *   with the abort reason / AbortError; a run already in progress finishes
+ *
+ * Why implement it this way?
+ * - One waiting list of { thisArg, args, waiters } – the strategies only differ in
+ *   how a busy-time call lands in it (push, replace, merge, reject)
+ * - Typed errors instead of a bare string → callers can tell "throttled" from
+ *   a real failure: err instanceof ThrottledError
  */
-function throttleAsync(fn, limit) {
+class ThrottledError extends Error {
+  constructor(message = "Throttled: call ignored") {
+    super(message);
+    this.name = "ThrottledError";
+  }
+}
+
+const THROTTLE_STRATEGIES = ["drop", "queue", "latest", "coalesce"];
+
+function throttleAsync(fn, limit, { strategy = "drop", maxQueue = Infinity, signal, onDrop } = {}) {
+  if (!THROTTLE_STRATEGIES.includes(strategy)) {
+    throw new RangeError(`strategy must be one of ${THROTTLE_STRATEGIES.join(", ")}. Received ${strategy}`);
+  }
   let inThrottle = false;
+  let waiting = []; // [{ thisArg, args, waiters: [{ resolve, reject }] }]
+
+  // Callers first: a throwing onDrop must not leave their promises pending
+  const drop = (call, error) => {
+    call.waiters.forEach(w => w.reject(error));
+    if (!onDrop) return;
+    try {
+      onDrop(call.args, error);
+    } catch (err) {
+      setTimeout(() => { throw err; }, 0); // not ours to handle → surface it
+    }
+  };
+
+  const run = call => {
+    inThrottle = true;
+    new Promise(resolve => resolve(fn.apply(call.thisArg, call.args)))
+      .then(
+        value => call.waiters.forEach(w => w.resolve(value)),
+        err => call.waiters.forEach(w => w.reject(err))
+      )
+      .then(() => setTimeout(runNext, limit)); // cooldown starts once fn settled
+  };
+
+  const runNext = () => {
+    inThrottle = false;
+    if (waiting.length) run(waiting.shift());
+  };
+
+  if (signal) {
+    signal.addEventListener("abort", () => {
+      const abandoned = waiting;
+      waiting = [];
+      abandoned.forEach(call => drop(call, signalAbortReason(signal)));
+    }, { once: true });
+  }
+
   return function(...args) {
     return new Promise((resolve, reject) => {
-      if (!inThrottle) {
-        inThrottle = true;
-        Promise.resolve(fn.apply(this, args))
-          .then(resolve, reject)
-          .finally(() => {
-            setTimeout(() => inThrottle = false, limit);
-          });
-      } else {
-        // Optionally: reject or return undefined
-        reject("Throttled: call ignored");
+      const call = { thisArg: this, args, waiters: [{ resolve, reject }] };
+      if (signal && signal.aborted) return drop(call, signalAbortReason(signal));
+      if (!inThrottle) return run(call);
+
+      switch (strategy) {
+        case "drop":
+          drop(call, new ThrottledError());
+          break;
+        case "queue":
+          if (waiting.length >= maxQueue) drop(call, new ThrottledError("Throttle queue is full"));
+          else waiting.push(call);
+          break;
+        case "latest":
+          if (waiting.length) drop(waiting.pop(), new ThrottledError("Superseded by a newer call"));
+          waiting.push(call);
+          break;
+        case "coalesce":
+          if (waiting.length) {
+            const next = waiting[0];
+            next.thisArg = this; // latest args win, every caller shares the run
+            next.args = args;
+            next.waiters.push(...call.waiters);
+          } else {
+            waiting.push(call);
+          }
+          break;
       }
     });
   };
 }
 
+// Copy of abortReason() in promises.js (this file loads on its own)
+function signalAbortReason(signal) {
+  if (signal.reason !== undefined) return signal.reason;
+  if (typeof DOMException === "function") return new DOMException("This operation was aborted", "AbortError");
+  const err = new Error("This operation was aborted");
+  err.name = "AbortError";
+  return err;
+}
+
+/**
+ * Example – autosave:
+ *   const save = throttleAsync(draft => api.saveDraft(draft), 2000, { strategy: "latest" });
+ *   editor.on("change", () => save(editor.value).catch(err => {
+ *     if (!(err instanceof ThrottledError)) showSaveError(err); // replaced by a newer save → fine
+ *   }));
+ */
+
 /**
  * Follow-up Questions:
  * - How is throttle different from debounce?
- * - How to implement both leading & trailing throttled calls?
- * - Should throttleAsync queue up missed calls or drop them?
+ *   (throttle: steady rate during a burst; debounce: once after the burst)
+ * - How to implement both leading & trailing throttled calls? (keep the latest
+ *   args during the cooldown, run them when it ends)
+ * - Why did the old version lose the final scroll position? (calls during the
+ *   cooldown were dropped, including the last one)
+ * - Should throttleAsync queue up missed calls or drop them? (depends: "queue"
+ *   when every call matters, "latest"/"coalesce" when only the newest state does,
+ *   "drop" for idempotent refreshes)
+ * - Why bound the queue? (a slow backend plus a fast producer would otherwise
+ *   grow it without limit)
  */
 
 /**
@@ -66,39 +284,207 @@ function throttleAsync(fn, limit) {
  * - Creates a deep copy of an object/array
  * - Handles nested objects
  * - Handles circular references
+ * - Keeps the type: Date, RegExp (incl. lastIndex), Map, Set, typed arrays,
+ *   ArrayBuffer, DataView, Error, boxed primitives, class instances
+ * - cloneDeep(value, { mode, customizer }):
+ *   - mode "full" (default): same prototype, same property descriptors
+ *     (getters stay getters, read-only stays read-only), symbol keys,
+ *     non-enumerable keys, non-extensible/frozen state. Functions, WeakMaps,
+ *     WeakSets and Promises can't be copied → shared by reference
+ *   - mode "structured": same result as structuredClone() – plain objects only
+ *     (prototype lost, getters read once, symbol keys dropped), lastIndex reset,
+ *     and functions/symbols/WeakMaps/Promises throw a DataCloneError
+ *   - customizer(value, key, parent) → return a clone to use it, undefined to
+ *     fall back to the default (like lodash cloneDeepWith)
  *
  * Why implement it this way?
  * - Recursively traverse properties
- * - Use WeakMap to detect cycles (prevents infinite recursion)
+ * - Use WeakMap to detect cycles (prevents infinite recursion) – the copy is
+ *   registered BEFORE its children are cloned, so a Map containing itself works
+ * - Type tag (Object.prototype.toString) picks how to construct the copy;
+ *   Object.setPrototypeOf afterwards keeps subclasses (class MyMap extends Map)
+ * - Descriptors instead of `result[key] = value` → `for...in` + assignment would
+ *   run getters and skip symbols and non-enumerable keys
+ * - Typed arrays clone their buffer through the same WeakMap → two views on one
+ *   buffer still share one (cloned) buffer
+ * - Errors are rebuilt with their own constructor (falling back to Error), so
+ *   the copy is a real Error, not an object with Error.prototype
  *
  * Time Complexity: O(n) – visits each property once
  * Space Complexity: O(n) – result + recursion stack
  *
  * Performance Considerations:
  * - Expensive for very large objects
+ * - "full" mode scans a typed array's own keys to find expando props →
+ *   O(length) even though the bytes are copied in one go (lodash pays the same)
  * - Alternatives: structuredClone (native), JSON.parse(JSON.stringify()) [but loses functions/dates/etc.]
  */
-function cloneDeep(obj, map = new WeakMap()) {
-  if (obj === null || typeof obj !== "object") return obj; // primitive → return as-is
-  if (map.has(obj)) return map.get(obj); // cycle detected → return cached clone
+function cloneDeep(obj, { mode = "full", customizer } = {}) {
+  if (mode !== "full" && mode !== "structured") {
+    throw new RangeError(`mode must be "full" or "structured". Received ${mode}`);
+  }
+  return cloneValue(obj, { structured: mode === "structured", customizer, map: new WeakMap() }, undefined, undefined);
+}
 
-  const result = Array.isArray(obj) ? [] : {};
-  map.set(obj, result); // store reference before recursion
+function cloneValue(value, ctx, key, parent) {
+  if (ctx.customizer) {
+    const custom = ctx.customizer(value, key, parent);
+    if (custom !== undefined) return custom;
+  }
 
-  for (const key in obj) {
-    if (obj.hasOwnProperty(key)) {
-      result[key] = cloneDeep(obj[key], map); // recurse
+  if (typeof value === "function" || typeof value === "symbol") {
+    if (ctx.structured) throw createDataCloneError(`${String(value)} could not be cloned.`);
+    return value; // functions/symbols are shared, not copied
+  }
+  if (value === null || typeof value !== "object") return value; // primitive → return as-is
+  if (ctx.map.has(value)) return ctx.map.get(value); // cycle detected → return cached clone
+
+  const tag = Object.prototype.toString.call(value);
+  const remember = copy => {
+    ctx.map.set(value, copy); // store reference before recursion
+    return copy;
+  };
+  const child = (v, k) => cloneValue(v, ctx, k, value);
+  let copy;
+
+  switch (tag) {
+    case "[object Date]":
+      copy = remember(new Date(value.getTime()));
+      break;
+    case "[object RegExp]":
+      copy = remember(new RegExp(value.source, value.flags));
+      if (!ctx.structured) copy.lastIndex = value.lastIndex;
+      break;
+    case "[object Map]":
+      copy = remember(new Map());
+      value.forEach((v, k) => copy.set(child(k), child(v, k)));
+      break;
+    case "[object Set]":
+      copy = remember(new Set());
+      value.forEach(v => copy.add(child(v)));
+      break;
+    case "[object ArrayBuffer]":
+      copy = remember(value.slice(0));
+      if (ctx.structured) return copy; // structuredClone drops expandos on buffers and views
+      break;
+    case "[object SharedArrayBuffer]":
+      return remember(value); // shared memory is meant to be shared (structuredClone agrees)
+    case "[object DataView]":
+      copy = remember(new DataView(child(value.buffer), value.byteOffset, value.byteLength));
+      if (ctx.structured) return copy;
+      break;
+    case "[object Number]":
+    case "[object String]":
+    case "[object Boolean]":
+    case "[object BigInt]":
+      copy = remember(Object(value.valueOf()));
+      break;
+    case "[object Symbol]":
+      if (ctx.structured) throw createDataCloneError(`${String(value.valueOf())} could not be cloned.`);
+      copy = remember(Object(value.valueOf()));
+      break;
+    case "[object Error]":
+      if (ctx.structured) return remember(cloneErrorStructured(value, child));
+      copy = remember(constructError(value)); // message/stack come with the descriptors
+      break;
+    case "[object WeakMap]":
+    case "[object WeakSet]":
+    case "[object Promise]":
+      if (ctx.structured) throw createDataCloneError(`${tag.slice(8, -1)} object could not be cloned.`);
+      return value; // contents can't be enumerated → share the reference
+    case "[object Array]":
+      copy = remember(new Array(value.length)); // keeps holes
+      break;
+    default:
+      if (ArrayBuffer.isView(value)) { // typed arrays
+        const TypedArray = value.constructor;
+        copy = remember(new TypedArray(child(value.buffer), value.byteOffset, value.length));
+        if (ctx.structured) return copy;
+        break;
+      }
+      copy = remember(ctx.structured ? {} : Object.create(Object.getPrototypeOf(value)));
+  }
+
+  if (ctx.structured) {
+    // structuredClone: own enumerable string keys, values read through getters
+    Object.keys(value).forEach(k => {
+      copy[k] = child(value[k], k);
+    });
+    return copy;
+  }
+
+  if (Object.getPrototypeOf(copy) !== Object.getPrototypeOf(value)) {
+    Object.setPrototypeOf(copy, Object.getPrototypeOf(value)); // subclasses of built-ins
+  }
+  copyDescriptors(value, copy, child, ArrayBuffer.isView(value) && !(value instanceof DataView));
+  if (!Object.isExtensible(value)) Object.preventExtensions(copy); // with the descriptors → sealed/frozen too
+  return copy;
+}
+
+// All own keys (string + symbol, enumerable or not) with their descriptors.
+// skipIndices: typed arrays – the elements already came with the cloned buffer.
+function copyDescriptors(source, target, cloneChild, skipIndices = false) {
+  Reflect.ownKeys(source).forEach(key => {
+    if (skipIndices && typeof key === "string" && String(Number(key)) === key) return;
+    const descriptor = Object.getOwnPropertyDescriptor(source, key);
+    if ("value" in descriptor) descriptor.value = cloneChild(descriptor.value, key); // getters/setters stay as-is
+
+    const existing = Object.getOwnPropertyDescriptor(target, key);
+    if (existing && !existing.configurable) {
+      // built-in slots like array "length" or String indices: only the value can change
+      if (existing.writable && "value" in descriptor) target[key] = descriptor.value;
+      return;
     }
+    Object.defineProperty(target, key, descriptor);
+  });
+}
+
+// A real Error (internal slot, util.types.isNativeError) of the same class.
+// Own props the constructor added but the source lacks are removed, so
+// copyDescriptors leaves exactly the source's own keys.
+function constructError(error) {
+  let copy;
+  try {
+    copy = new error.constructor(error.message);
+  } catch (e) {
+    copy = new Error(error.message);
   }
+  if (!(copy instanceof Error)) copy = new Error(error.message); // constructor returned something else
+  Reflect.ownKeys(copy).forEach(key => {
+    if (Object.prototype.hasOwnProperty.call(error, key)) return;
+    const descriptor = Object.getOwnPropertyDescriptor(copy, key);
+    if (descriptor.configurable) delete copy[key];
+  });
+  return copy;
+}
 
-  return result;
+// structuredClone keeps name (if standard), message, stack and cause
+function cloneErrorStructured(error, cloneChild) {
+  const standard = ["Error", "EvalError", "RangeError", "ReferenceError", "SyntaxError", "TypeError", "URIError"];
+  const name = standard.includes(error.name) ? error.name : "Error";
+  const copy = new globalThis[name](error.message);
+  if (error.stack !== undefined) copy.stack = error.stack;
+  if ("cause" in error) copy.cause = cloneChild(error.cause, "cause");
+  return copy;
+}
+
+// Copy of createDataCloneError() in observer-pattern.js
+function createDataCloneError(message) {
+  if (typeof DOMException === "function") return new DOMException(message, "DataCloneError");
+  const err = new Error(message);
+  err.name = "DataCloneError";
+  return err;
 }
 
 /**
  * Follow-up Questions:
  * - Why use WeakMap vs Map? (GC safe)
- * - How would you handle special types (Date, RegExp, Map, Set)?
+ * - How would you handle special types (Date, RegExp, Map, Set)? (switch on the type tag)
  * - Why does JSON-based deep clone fail for functions/symbols?
+ * - Why can't functions be deep-cloned? (closures capture scope that isn't
+ *   reachable from the function object; sharing the reference is the only option)
+ * - When would you prefer structured mode? (data that crosses a worker/postMessage
+ *   boundary: fail early here instead of there)
  */
 
 
@@ -163,7 +549,7 @@ function chunk(arr, size) {
 
 /**
  * Follow-up Questions:
- * - How would you write a lazy chunk (iterator version)?
+ * - How would you write a lazy chunk (iterator version)? (→ Seq.chunk in lodash-advanced.js)
  * - What if size is larger than array length?
  * - How would you chunk a string instead of array?
  */
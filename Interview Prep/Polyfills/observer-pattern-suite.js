@@ -0,0 +1,226 @@
+/***********************************************************
+ * Regression tests for observer-pattern.js
+ *
+ * Run: node "Interview Prep/Polyfills/observer-pattern-suite.js"
+ *
+ * - Self-contained (no npm install): loads observer-pattern.js as a plain script
+ * - Covers edge cases that are easy to break and hard to spot by reading:
+ *   effects that throw, listener isolation during replay, middleware vs
+ *   EventEmitter meta-events
+ ***********************************************************/
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { describe, it, run } = require("./test-runner");
+
+const source = fs.readFileSync(path.join(__dirname, "observer-pattern.js"), "utf8");
+const { EventEmitter, PubSub, signal, effect, batch } = vm.runInThisContext(
+  `${source}\n;({ EventEmitter, PubSub, signal, effect, batch })`,
+  { filename: "observer-pattern.js" }
+);
+
+
+/***********************************************************
+ * Signals
+ ***********************************************************/
+describe("signals", () => {
+  describe("an effect that throws", () => {
+    it("does not keep later effects on the same signal from running", () => {
+      const count = signal(0);
+      const seen = [];
+      effect(() => {
+        if (count.value === 1) throw new Error("e1 failed");
+      });
+      effect(() => {
+        seen.push(count.value);
+      });
+
+      assert.throws(() => {
+        count.value = 1;
+      }, /e1 failed/);
+      assert.deepStrictEqual(seen, [0, 1]); // e2 reacted to the write that threw in e1
+    });
+
+    it("leaves nothing queued for a later, unrelated write", () => {
+      const count = signal(0);
+      const other = signal(0);
+      let runs = 0;
+      effect(() => {
+        if (count.value === 1) throw new Error("e1 failed");
+      });
+      effect(() => {
+        count.value;
+        runs++;
+      });
+
+      assert.throws(() => {
+        count.value = 1;
+      });
+      assert.strictEqual(runs, 2);
+      other.value = 1;
+      assert.strictEqual(runs, 2);
+    });
+
+    it("reports several failures as one AggregateError after the batch", () => {
+      const count = signal(0);
+      let ran = false;
+      effect(() => {
+        if (count.value) throw new Error("first");
+      });
+      effect(() => {
+        if (count.value) throw new Error("second");
+      });
+      effect(() => {
+        ran = count.value === 1;
+      });
+
+      assert.throws(
+        () => batch(() => {
+          count.value = 1;
+        }),
+        err => err instanceof AggregateError && err.errors.map(e => e.message).join() === "first,second"
+      );
+      assert.strictEqual(ran, true);
+    });
+
+    it("keeps reacting after the failure", () => {
+      const count = signal(0);
+      const seen = [];
+      effect(() => {
+        if (count.value === 1) throw new Error("once");
+        seen.push(count.value);
+      });
+
+      assert.throws(() => {
+        count.value = 1;
+      });
+      count.value = 2;
+      assert.deepStrictEqual(seen, [0, 2]);
+    });
+  });
+});
+
+
+/***********************************************************
+ * Error isolation & middleware
+ ***********************************************************/
+describe("PubSub replay", () => {
+  it("isolates a throwing listener during retained replay", () => {
+    const errors = [];
+    const bus = new PubSub({ errorMode: "continue", onListenerError: (err, { topic }) => errors.push([topic, err.message]) });
+    bus.retain("prices.*", { count: 1 });
+    bus.publish("prices.a", 1);
+    bus.publish("prices.b", 2);
+
+    const seen = [];
+    bus.subscribe("prices.*", (data, topic) => {
+      if (topic === "prices.a") throw new Error("bad a");
+      seen.push(data);
+    });
+    assert.deepStrictEqual(seen, [2]);
+    assert.deepStrictEqual(errors, [["prices.a", "bad a"]]);
+  });
+
+  it("isolates a throwing listener during durable backlog replay", () => {
+    const bus = new PubSub({ errorMode: "aggregate", onListenerError: () => {} });
+    bus.subscribeDurable("worker", "jobs", () => {})();
+    bus.publish("jobs", 1);
+    bus.publish("jobs", 2);
+    bus.publish("jobs", 3);
+
+    const seen = [];
+    assert.throws(
+      () => bus.subscribeDurable("worker", "jobs", data => {
+        if (data !== 3) throw new Error(`job ${data}`);
+        seen.push(data);
+      }),
+      err => err instanceof AggregateError && err.errors.length === 2
+    );
+    assert.deepStrictEqual(seen, [3]); // the rest of the backlog still arrived
+  });
+});
+
+describe("PubSub subscribe", () => {
+  it("removes the listener when retained replay throws", () => {
+    const bus = new PubSub();
+    bus.retain("config", { count: 1 });
+    bus.publish("config", 1);
+
+    let calls = 0;
+    assert.throws(() => bus.subscribe("config", () => {
+      calls++;
+      throw new Error("bad listener");
+    }), /bad listener/);
+    bus.publish("config", 2);
+    assert.strictEqual(calls, 1); // only the replay, the live message found nobody
+  });
+
+  it("leaves a durable subscription inactive when its replay throws", () => {
+    const bus = new PubSub();
+    bus.subscribeDurable("worker", "jobs", () => {})();
+    bus.publish("jobs", 1);
+
+    assert.throws(() => bus.subscribeDurable("worker", "jobs", () => {
+      throw new Error("bad job");
+    }), /bad job/);
+    bus.publish("jobs", 2);
+    const seen = [];
+    bus.subscribeDurable("worker", "jobs", data => seen.push(data)); // not "already active"
+    assert.deepStrictEqual(seen, [2]);
+  });
+});
+
+describe("PubSub schemas", () => {
+  it("lists subscribed topics without a schema", () => {
+    const bus = new PubSub();
+    bus.registerSchema("orders.created", { type: "object" });
+    bus.subscribe("orders.created", () => {});
+    bus.subscribe("orders.*", () => {});
+    bus.subscribe("cart.updated", () => {});
+
+    assert.deepStrictEqual(bus.listTopics(), [
+      { topic: "cart.updated", schema: null, onInvalid: null, subscribers: 1 },
+      { topic: "orders.*", schema: null, onInvalid: null, subscribers: 1 },
+      { topic: "orders.created", schema: { type: "object" }, onInvalid: "reject", subscribers: 2 }
+    ]);
+  });
+
+  it("accepts decimal multiples despite floating point error", () => {
+    const bus = new PubSub();
+    bus.registerSchema("price", { type: "number", multipleOf: 0.1 });
+    bus.publish("price", 0.3);
+    bus.publish("price", 19.9);
+    assert.throws(() => bus.publish("price", 0.35), /multiple of 0.1/);
+  });
+});
+
+describe("EventEmitter middleware", () => {
+  it("cannot swallow emit(\"error\") without a listener", () => {
+    const emitter = new EventEmitter().use(() => {}); // vetoes everything
+    assert.throws(() => emitter.emit("error", new Error("boom")), /boom/);
+    assert.strictEqual(emitter.emit("data", 1), false);
+  });
+
+  it("does not run for newListener/removeListener", () => {
+    const seen = [];
+    const emitter = new EventEmitter().use((message, next) => {
+      seen.push(message.event);
+      next();
+    });
+    const added = [];
+    emitter.on("newListener", event => added.push(event));
+    emitter.on("removeListener", event => added.push(`-${event}`));
+    const listener = () => {};
+    emitter.on("data", listener).off("data", listener);
+    emitter.emit("data");
+
+    assert.deepStrictEqual(added, ["removeListener", "data", "-data"]);
+    assert.deepStrictEqual(seen, ["data"]);
+  });
+});
+
+
+run();
@@ -39,6 +39,15 @@ class Subject {
   notify(data) {
     this.observers.forEach(fn => fn(data));
   }
+
+  // Bridge into the Observable world (operators, Subscriptions); see Observable below
+  asObservable() {
+    return new Observable(subscriber => {
+      const fn = data => subscriber.next(data);
+      this.subscribe(fn);
+      return () => this.unsubscribe(fn);
+    });
+  }
 }
 
 /**
@@ -46,10 +55,814 @@ class Subject {
  * - How is this different from PubSub?
  * - How would you implement once-only observers?
  * - How to handle async observers (notify with Promise.all)?
+ * - How would you add error/complete and operators? (→ Observable below)
  */
 
 
 
+/**
+ * Observable (RxJS-style streams on top of Subject)
+ *
+ * What does an Observable add over Subject?
+ * - Three channels instead of one: next(value), error(err), complete()
+ * - Lazy: nothing runs until subscribe(); every subscriber gets its own run
+ * - subscribe() returns a Subscription → unsubscribe() runs the teardown
+ *   (remove DOM listener, clear timer, abort request)
+ * - pipe(op1, op2, ...) chains operators; each operator is source → new Observable
+ *
+ * Contract enforced by the subscriber wrapper:
+ * - No next() after error()/complete(), and at most one of those
+ * - error()/complete() run the teardown automatically
+ * - Teardown returned after the stream already ended runs immediately
+ * - An error with no error handler is rethrown asynchronously (not swallowed)
+ *
+ * Why implement it this way?
+ * - Operators as plain functions → tree-shakable, easy to write new ones
+ * - Subject stays as-is; subject.asObservable() bridges it into this world
+ *
+ * Time Complexity: O(1) per emission per operator (plus the operator's own work)
+ * Space Complexity: O(operators) per subscription
+ */
+class Subscription {
+  constructor(teardown) {
+    this.closed = false;
+    this.teardowns = [];
+    this.add(teardown);
+  }
+
+  // teardown: function, Subscription, or nothing
+  add(teardown) {
+    if (!teardown || teardown === this) return;
+    if (this.closed) {
+      runTeardown(teardown); // late teardown for an already-finished stream
+      return;
+    }
+    this.teardowns.push(teardown);
+  }
+
+  unsubscribe() {
+    if (this.closed) return;
+    this.closed = true;
+    this.teardowns.splice(0).forEach(runTeardown);
+  }
+}
+
+function runTeardown(teardown) {
+  if (typeof teardown === "function") teardown();
+  else teardown.unsubscribe();
+}
+
+class Observable {
+  constructor(subscribeFn) {
+    this.subscribeFn = subscribeFn; // (subscriber) => teardown
+  }
+
+  subscribe(observerOrNext, error, complete) {
+    const observer = observerOrNext && typeof observerOrNext === "object"
+      ? observerOrNext
+      : { next: observerOrNext, error, complete };
+
+    const subscription = new Subscription();
+    let stopped = false;
+    subscription.add(() => {
+      stopped = true;
+    });
+
+    const subscriber = {
+      next(value) {
+        if (!stopped && observer.next) observer.next(value);
+      },
+      error(err) {
+        if (stopped) return;
+        stopped = true;
+        try {
+          if (observer.error) observer.error(err);
+          else setTimeout(() => { throw err; }, 0); // unhandled → surface it
+        } finally {
+          subscription.unsubscribe();
+        }
+      },
+      complete() {
+        if (stopped) return;
+        stopped = true;
+        try {
+          if (observer.complete) observer.complete();
+        } finally {
+          subscription.unsubscribe();
+        }
+      },
+      get closed() {
+        return stopped;
+      }
+    };
+
+    try {
+      subscription.add(this.subscribeFn(subscriber));
+    } catch (err) {
+      subscriber.error(err);
+    }
+    return subscription;
+  }
+
+  pipe(...operators) {
+    return operators.reduce((source, operator) => operator(source), this);
+  }
+}
+
+// Forward everything unchanged, except the handlers in `overrides`
+function relay(subscriber, overrides = {}) {
+  return {
+    next: value => subscriber.next(value),
+    error: err => subscriber.error(err),
+    complete: () => subscriber.complete(),
+    ...overrides
+  };
+}
+
+// Observable | Subject | promise | iterable → Observable
+function toObservable(input) {
+  if (input instanceof Observable) return input;
+  if (input instanceof Subject) return input.asObservable();
+  if (input && typeof input.then === "function") return fromPromise(input);
+  if (input != null && typeof input[Symbol.iterator] === "function") {
+    return new Observable(subscriber => {
+      for (const value of input) {
+        if (subscriber.closed) return;
+        subscriber.next(value);
+      }
+      subscriber.complete();
+    });
+  }
+  throw new TypeError(`Cannot convert ${input} to an Observable`);
+}
+
+
+/**
+ * Creators
+ */
+
+// DOM EventTarget (addEventListener) or EventEmitter (on/off)
+function fromEvent(target, eventName, options) {
+  return new Observable(subscriber => {
+    const handler = (...args) => subscriber.next(args.length > 1 ? args : args[0]);
+
+    if (typeof target.addEventListener === "function") {
+      target.addEventListener(eventName, handler, options);
+      return () => target.removeEventListener(eventName, handler, options);
+    }
+    target.on(eventName, handler);
+    return () => target.off(eventName, handler);
+  });
+}
+
+// One value then complete, or error. Unsubscribing early just ignores the result
+// (a promise can't be cancelled).
+function fromPromise(promise) {
+  return new Observable(subscriber => {
+    Promise.resolve(promise).then(
+      value => {
+        subscriber.next(value);
+        subscriber.complete();
+      },
+      err => subscriber.error(err)
+    );
+  });
+}
+
+// Emits an array of the latest value from each source, once all have emitted
+function combineLatest(sources) {
+  return new Observable(subscriber => {
+    const inputs = [...sources].map(toObservable);
+    if (inputs.length === 0) return subscriber.complete();
+
+    const values = new Array(inputs.length);
+    const hasValue = new Array(inputs.length).fill(false);
+    let ready = 0;
+    let completed = 0;
+    const subscription = new Subscription();
+
+    inputs.forEach((input, i) => {
+      subscription.add(input.subscribe({
+        next: value => {
+          values[i] = value;
+          if (!hasValue[i]) {
+            hasValue[i] = true;
+            ready++;
+          }
+          if (ready === inputs.length) subscriber.next(values.slice());
+        },
+        error: err => subscriber.error(err),
+        complete: () => {
+          completed++;
+          // a source that ends without a value means no combination can ever emit
+          if (completed === inputs.length || !hasValue[i]) subscriber.complete();
+        }
+      }));
+    });
+
+    return subscription;
+  });
+}
+
+
+/**
+ * Operators: (source) => Observable
+ */
+function map(project) {
+  return source => new Observable(subscriber => {
+    let index = 0;
+    return source.subscribe(relay(subscriber, {
+      next: value => {
+        let result;
+        try {
+          result = project(value, index++);
+        } catch (err) {
+          return subscriber.error(err);
+        }
+        subscriber.next(result);
+      }
+    }));
+  });
+}
+
+function filter(predicate) {
+  return source => new Observable(subscriber => {
+    let index = 0;
+    return source.subscribe(relay(subscriber, {
+      next: value => {
+        let keep;
+        try {
+          keep = predicate(value, index++);
+        } catch (err) {
+          return subscriber.error(err);
+        }
+        if (keep) subscriber.next(value);
+      }
+    }));
+  });
+}
+
+// Like reduce, but emits every intermediate accumulator (running total, state reducer)
+function scan(reducer, seed) {
+  const hasSeed = arguments.length >= 2;
+  return source => new Observable(subscriber => {
+    let acc = seed;
+    let hasAcc = hasSeed;
+    let index = 0;
+    return source.subscribe(relay(subscriber, {
+      next: value => {
+        if (!hasAcc) {
+          acc = value; // no seed → first value is the start
+          hasAcc = true;
+          index++;
+        } else {
+          try {
+            acc = reducer(acc, value, index++);
+          } catch (err) {
+            return subscriber.error(err);
+          }
+        }
+        subscriber.next(acc);
+      }
+    }));
+  });
+}
+
+function distinctUntilChanged(compare = Object.is) {
+  return source => new Observable(subscriber => {
+    let hasPrev = false;
+    let prev;
+    return source.subscribe(relay(subscriber, {
+      next: value => {
+        if (hasPrev && compare(prev, value)) return;
+        hasPrev = true;
+        prev = value;
+        subscriber.next(value);
+      }
+    }));
+  });
+}
+
+// Emit the latest value once the source has been quiet for `ms`
+function debounceTime(ms) {
+  return source => new Observable(subscriber => {
+    let timer = null;
+    let pending = false;
+    let last;
+
+    const flush = () => {
+      timer = null;
+      if (!pending) return;
+      pending = false;
+      subscriber.next(last);
+    };
+
+    const subscription = source.subscribe(relay(subscriber, {
+      next: value => {
+        last = value;
+        pending = true;
+        clearTimeout(timer);
+        timer = setTimeout(flush, ms);
+      },
+      complete: () => {
+        clearTimeout(timer);
+        flush(); // don't lose the final value
+        subscriber.complete();
+      }
+    }));
+
+    return () => {
+      clearTimeout(timer);
+      subscription.unsubscribe();
+    };
+  });
+}
+
+// At most one value per `ms` window; leading/trailing edge like lodash/RxJS
+function throttleTime(ms, { leading = true, trailing = false } = {}) {
+  return source => new Observable(subscriber => {
+    let timer = null;
+    let hasTrailing = false;
+    let trailingValue;
+
+    const startWindow = () => {
+      timer = setTimeout(() => {
+        timer = null;
+        if (trailing && hasTrailing) {
+          hasTrailing = false;
+          subscriber.next(trailingValue);
+          startWindow(); // the trailing emission opens a new window
+        }
+      }, ms);
+    };
+
+    const subscription = source.subscribe(relay(subscriber, {
+      next: value => {
+        if (timer === null) {
+          if (leading) subscriber.next(value);
+          else {
+            trailingValue = value;
+            hasTrailing = true;
+          }
+          startWindow();
+        } else {
+          trailingValue = value;
+          hasTrailing = true;
+        }
+      },
+      complete: () => {
+        clearTimeout(timer);
+        if (trailing && hasTrailing) subscriber.next(trailingValue);
+        subscriber.complete();
+      }
+    }));
+
+    return () => {
+      clearTimeout(timer);
+      subscription.unsubscribe();
+    };
+  });
+}
+
+// Map each value to an inner stream; a new value cancels the previous inner
+// (typeahead: only the latest query's response matters)
+function switchMap(project) {
+  return source => new Observable(subscriber => {
+    let innerSubscription = null;
+    let innerActive = false;
+    let outerDone = false;
+    let index = 0;
+
+    const outerSubscription = source.subscribe(relay(subscriber, {
+      next: value => {
+        if (innerSubscription) innerSubscription.unsubscribe();
+        let inner;
+        try {
+          inner = toObservable(project(value, index++));
+        } catch (err) {
+          return subscriber.error(err);
+        }
+        innerActive = true;
+        innerSubscription = inner.subscribe(relay(subscriber, {
+          complete: () => {
+            innerActive = false;
+            if (outerDone) subscriber.complete();
+          }
+        }));
+      },
+      complete: () => {
+        outerDone = true;
+        if (!innerActive) subscriber.complete();
+      }
+    }));
+
+    return () => {
+      outerSubscription.unsubscribe();
+      if (innerSubscription) innerSubscription.unsubscribe();
+    };
+  });
+}
+
+// Map each value to an inner stream; all inners run, at most `concurrency` at once
+function mergeMap(project, concurrency = Infinity) {
+  return source => new Observable(subscriber => {
+    const inners = new Set();
+    const buffer = [];
+    let active = 0;
+    let outerDone = false;
+    let index = 0;
+
+    const checkComplete = () => {
+      if (outerDone && active === 0 && buffer.length === 0) subscriber.complete();
+    };
+
+    const run = value => {
+      let inner;
+      try {
+        inner = toObservable(project(value, index++));
+      } catch (err) {
+        return subscriber.error(err);
+      }
+      active++;
+      let innerSubscription = null;
+      innerSubscription = inner.subscribe(relay(subscriber, {
+        complete: () => {
+          active--;
+          if (innerSubscription) inners.delete(innerSubscription);
+          if (buffer.length) run(buffer.shift());
+          checkComplete();
+        }
+      }));
+      if (!innerSubscription.closed) inners.add(innerSubscription);
+    };
+
+    const outerSubscription = source.subscribe(relay(subscriber, {
+      next: value => {
+        if (active < concurrency) run(value);
+        else buffer.push(value);
+      },
+      complete: () => {
+        outerDone = true;
+        checkComplete();
+      }
+    }));
+
+    return () => {
+      outerSubscription.unsubscribe();
+      inners.forEach(s => s.unsubscribe());
+    };
+  });
+}
+
+// Complete as soon as `notifier` emits (drag: mousemove until mouseup)
+function takeUntil(notifier) {
+  return source => new Observable(subscriber => {
+    const notifierSubscription = toObservable(notifier).subscribe({
+      next: () => subscriber.complete(),
+      error: err => subscriber.error(err)
+    });
+    if (subscriber.closed) return notifierSubscription;
+
+    const sourceSubscription = source.subscribe(relay(subscriber));
+    return () => {
+      notifierSubscription.unsubscribe();
+      sourceSubscription.unsubscribe();
+    };
+  });
+}
+
+/**
+ * Example – typeahead:
+ *   fromEvent(input, "input").pipe(
+ *     map(e => e.target.value.trim()),
+ *     debounceTime(300),
+ *     distinctUntilChanged(),
+ *     filter(q => q.length > 1),
+ *     switchMap(q => fromPromise(fetch(`/search?q=${q}`).then(r => r.json())))
+ *   ).subscribe(renderResults);
+ *
+ * Example – drag:
+ *   fromEvent(el, "mousedown").pipe(
+ *     switchMap(() => fromEvent(document, "mousemove").pipe(takeUntil(fromEvent(document, "mouseup"))))
+ *   ).subscribe(moveTo);
+ *
+ * Follow-up Questions:
+ * - Hot vs cold observables? (cold: each subscriber gets its own run, like these;
+ *   hot: shared source like Subject / DOM events)
+ * - switchMap vs mergeMap vs concatMap vs exhaustMap? (cancel previous / run all /
+ *   queue / ignore new while busy – concatMap is mergeMap with concurrency 1)
+ * - Why must teardown run on complete/error? (otherwise listeners and timers leak
+ *   even though nobody can receive values anymore)
+ * - Observable vs Promise? (many values vs one, lazy vs eager, cancellable vs not)
+ */
+
+
+/**
+ * Signals (fine-grained reactivity: Solid / Preact Signals / Vue refs / Angular signals)
+ *
+ * What do signals do?
+ * - signal(v): a reactive value; reading .value inside a computed/effect subscribes
+ * - computed(fn): derived value, lazy (runs on first read) and cached until a
+ *   dependency actually changes; dependencies are tracked automatically per run
+ * - effect(fn): side effect that re-runs when what it read changes; may return a
+ *   cleanup that runs before the next run and on dispose
+ * - batch(fn): many writes, effects flush once at the end
+ * - untracked(fn): read without subscribing
+ *
+ * Why implement it this way?
+ * - Each node's dependents live in a Subject (the observer primitive above);
+ *   a write only *marks* the graph, it never recomputes eagerly
+ * - Push-pull with three colours: CLEAN / CHECK (some ancestor changed, maybe me) /
+ *   DIRTY (a direct source changed). A write marks direct dependents DIRTY and
+ *   everything below CHECK; reads pull and recompute top-down
+ * - Glitch-free: in a diamond a → (b, c) → d, d is only recomputed after b and c
+ *   are up to date, and exactly once. A CHECK node whose sources turn out
+ *   unchanged (value equal) is cleaned without running its fn
+ * - Cycles: a computed reading itself throws; effects that keep re-triggering each
+ *   other are stopped after MAX_EFFECT_RUNS in one flush
+ * - A throwing effect doesn't starve the rest: every queued effect still runs,
+ *   then the write (or batch) rethrows the error
+ *
+ * Time Complexity: write O(reachable dependents) marking; read O(sources checked)
+ * Space Complexity: O(edges) in the dependency graph
+ */
+const CLEAN = 0;
+const CHECK = 1;
+const DIRTY = 2;
+const MAX_EFFECT_RUNS = 1000;
+
+const reactiveContext = {
+  observer: null, // computed/effect currently running → collects sources
+  batchDepth: 0,
+  pendingEffects: [],
+  flushing: false
+};
+
+// Subscribe the running computed/effect to `node` (once per run)
+function trackRead(node) {
+  const observer = reactiveContext.observer;
+  if (!observer || observer.sources.has(node)) return;
+  observer.sources.add(node);
+  node.dependents.subscribe(observer.mark);
+}
+
+class SignalNode {
+  constructor(value, equals = Object.is) {
+    this.currentValue = value;
+    this.equals = equals;
+    this.dependents = new Subject(); // holds the mark() of each dependent
+  }
+
+  get value() {
+    trackRead(this);
+    return this.currentValue;
+  }
+
+  set value(next) {
+    if (reactiveContext.observer instanceof ComputedNode) {
+      throw new Error("Computed values must not write to signals");
+    }
+    if (this.equals(this.currentValue, next)) return;
+    this.currentValue = next;
+    this.dependents.notify(DIRTY);
+    if (reactiveContext.batchDepth === 0) flushEffects();
+  }
+
+  peek() {
+    return this.currentValue;
+  }
+
+  update(fn) {
+    this.value = fn(this.currentValue);
+  }
+
+  // Signals are always up to date; lets ComputedNode treat every source alike
+  refresh() {}
+}
+
+class ComputedNode {
+  constructor(fn, equals = Object.is) {
+    this.fn = fn;
+    this.equals = equals;
+    this.state = DIRTY; // lazy: nothing runs until the first read
+    this.computing = false;
+    this.hasValue = false;
+    this.currentValue = undefined;
+    this.error = null;
+    this.sources = new Set();
+    this.dependents = new Subject();
+    this.mark = state => markNode(this, state);
+  }
+
+  get value() {
+    this.refresh(); // before tracking: our own recompute must not mark the reader
+    trackRead(this);
+    if (this.error) throw this.error;
+    return this.currentValue;
+  }
+
+  peek() {
+    return untracked(() => this.value);
+  }
+
+  // Bring this node up to date, recomputing only if a source really changed
+  refresh() {
+    if (this.computing) throw new Error("Cycle detected: computed depends on itself");
+    if (this.state === CHECK) {
+      for (const source of this.sources) {
+        source.refresh(); // may mark us DIRTY via our mark()
+        if (this.state === DIRTY) break;
+      }
+    }
+    if (this.state === DIRTY) this.recompute();
+    else this.state = CLEAN;
+  }
+
+  recompute() {
+    const prevValue = this.currentValue;
+    const hadValue = this.hasValue && !this.error;
+    let nextValue;
+    let error = null;
+
+    untrackSources(this); // dependencies are re-collected on every run
+    const prevObserver = reactiveContext.observer;
+    reactiveContext.observer = this;
+    this.computing = true;
+    try {
+      nextValue = this.fn();
+    } catch (err) {
+      error = err;
+    } finally {
+      this.computing = false;
+      reactiveContext.observer = prevObserver;
+    }
+
+    this.state = CLEAN;
+    this.hasValue = true;
+    this.error = error;
+    if (!error) this.currentValue = nextValue;
+
+    const changed = error || !hadValue || !this.equals(prevValue, nextValue);
+    if (changed) this.dependents.notify(DIRTY); // direct dependents are CHECK → DIRTY
+  }
+}
+
+class EffectNode {
+  constructor(fn) {
+    this.fn = fn;
+    this.state = DIRTY;
+    this.cleanup = null;
+    this.disposed = false;
+    this.sources = new Set();
+    this.mark = state => markNode(this, state);
+  }
+
+  refresh() {
+    if (this.disposed) return;
+    if (this.state === CHECK) {
+      for (const source of this.sources) {
+        source.refresh();
+        if (this.state === DIRTY) break;
+      }
+    }
+    // run() cleans before calling fn, so a write inside fn can re-queue this effect
+    if (this.state === DIRTY) this.run();
+    else this.state = CLEAN;
+  }
+
+  run() {
+    this.runCleanup();
+    untrackSources(this);
+    const prevObserver = reactiveContext.observer;
+    reactiveContext.observer = this;
+    this.state = CLEAN;
+    try {
+      const cleanup = this.fn();
+      if (typeof cleanup === "function") this.cleanup = cleanup;
+    } finally {
+      reactiveContext.observer = prevObserver;
+    }
+  }
+
+  runCleanup() {
+    const cleanup = this.cleanup;
+    this.cleanup = null;
+    if (cleanup) untracked(cleanup);
+  }
+
+  dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+    this.runCleanup();
+    untrackSources(this);
+  }
+}
+
+// Colour a node; the first time it leaves CLEAN, tell its own dependents "maybe"
+function markNode(node, state) {
+  if (node.state >= state) return;
+  const wasClean = node.state === CLEAN;
+  node.state = state;
+  if (!wasClean) return;
+  if (node instanceof EffectNode) reactiveContext.pendingEffects.push(node);
+  else node.dependents.notify(CHECK);
+}
+
+function untrackSources(node) {
+  node.sources.forEach(source => source.dependents.unsubscribe(node.mark));
+  node.sources.clear();
+}
+
+// A throwing effect doesn't stop the others: the queue is drained first, then
+// the error (or an AggregateError for several) is rethrown to the writer
+function flushEffects() {
+  if (reactiveContext.flushing) return; // the outer flush picks up new effects
+  reactiveContext.flushing = true;
+  const errors = [];
+  let runs = 0;
+  try {
+    while (reactiveContext.pendingEffects.length) {
+      if (++runs > MAX_EFFECT_RUNS) {
+        reactiveContext.pendingEffects.length = 0;
+        errors.push(new Error("Cycle detected: effects keep re-triggering each other"));
+        break;
+      }
+      try {
+        reactiveContext.pendingEffects.shift().refresh();
+      } catch (error) {
+        errors.push(error);
+      }
+    }
+  } finally {
+    reactiveContext.flushing = false;
+  }
+  if (errors.length === 1) throw errors[0];
+  if (errors.length > 1) throw new AggregateError(errors, `${errors.length} effects failed`);
+}
+
+function signal(value, options = {}) {
+  return new SignalNode(value, options.equals);
+}
+
+function computed(fn, options = {}) {
+  return new ComputedNode(fn, options.equals);
+}
+
+// Runs immediately, then whenever a dependency changes; returns dispose()
+function effect(fn) {
+  const node = new EffectNode(fn);
+  node.refresh();
+  return () => node.dispose();
+}
+
+function batch(fn) {
+  reactiveContext.batchDepth++;
+  try {
+    return fn();
+  } finally {
+    if (--reactiveContext.batchDepth === 0) flushEffects();
+  }
+}
+
+function untracked(fn) {
+  const prevObserver = reactiveContext.observer;
+  reactiveContext.observer = null;
+  try {
+    return fn();
+  } finally {
+    reactiveContext.observer = prevObserver;
+  }
+}
+
+/**
+ * Example – diamond:
+ *   const first = signal("Ada"), last = signal("Lovelace");
+ *   const full = computed(() => `${first.value} ${last.value}`);
+ *   const initials = computed(() => first.value[0] + last.value[0]);
+ *   effect(() => console.log(full.value, initials.value)); // logs once per change
+ *   batch(() => { first.value = "Grace"; last.value = "Hopper"; }); // one log, no
+ *   intermediate "Grace Lovelace"
+ *
+ * Signals vs React state (see interview-gold-4 "State Management"):
+ * - useState/Context re-render the component (and, for Context, every consumer);
+ *   the diff happens in the virtual DOM. A signal notifies only the computeds and
+ *   effects that read it → updates are per binding, not per component
+ * - Dependencies are tracked at runtime, so there is no dependency array to get wrong
+ *   (compare useMemo/useEffect deps)
+ * - computed ≈ useMemo without deps, effect ≈ useEffect without deps, batch ≈
+ *   React 18 automatic batching
+ * - Cost: values live outside the render cycle, so concurrent rendering/time
+ *   slicing has to be handled differently
+ *
+ * Follow-up Questions:
+ * - What is a glitch? (an observer seeing a mix of old and new values mid-update)
+ * - Why is computed lazy? (unread derived values cost nothing)
+ * - Why re-collect dependencies on every run? (conditional reads: `a.value ? b.value : c.value`)
+ * - How would you free a computed nobody reads anymore? (unsubscribe from sources when
+ *   it loses its last dependent, re-check on the next read)
+ */
+
+
 /**
  * EventEmitter (Node.js style)
  *
@@ -61,42 +874,427 @@ class Subject {
  * Why implement it this way?
  * - Maintain a dictionary: eventName → listeners[]
  * - Methods: on (subscribe), off (unsubscribe), emit (notify)
+ * - Same surface as Node's `events` module, so code written against Node
+ *   behaves the same here:
+ *   - once / prependListener / prependOnceListener
+ *   - listenerCount / listeners / rawListeners / eventNames
+ *   - removeAllListeners, setMaxListeners / getMaxListeners
+ *   - "newListener" / "removeListener" meta-events
+ *   - emit("error") with no listener throws
+ *   - on/off/once/... return `this` → chainable
+ *
+ * Node semantics worth knowing:
+ * - "newListener" fires BEFORE the listener is added (a newListener handler
+ *   that adds to the same event ends up in front)
+ * - off() removes the most recently added copy of a listener (LIFO)
+ * - emit() iterates a snapshot: listeners added/removed during emit take
+ *   effect from the next emit
+ * - once() stores a wrapper; rawListeners() shows wrappers, listeners() the originals
+ * - More than maxListeners (default 10) on one event → warning, not an error
  *
  * Time Complexity:
- * - on: O(1) to add listener
- * - off: O(n) to remove listener
+ * - on / prependListener: O(1) / O(n)
+ * - off: O(n) to find listener
  * - emit: O(n) to call listeners
  * Space Complexity: O(n)
  */
 class EventEmitter {
-  constructor() {
-    this.events = {};
+  // options: { errorMode, onListenerError } – see "Error isolation & middleware" below
+  constructor({ errorMode = "throw", onListenerError = null } = {}) {
+    this.events = Object.create(null); // no prototype → "constructor"/"toString" are valid event names
+    this.maxListeners = undefined;     // undefined → EventEmitter.defaultMaxListeners
+    this.warnedEvents = new Set();     // leak warning fires once per event
+    this.errorMode = checkErrorMode(errorMode);
+    this.onListenerError = onListenerError;
+    this.middleware = [];
   }
 
   // Subscribe to an event
   on(event, listener) {
-    if (!this.events[event]) this.events[event] = [];
-    this.events[event].push(listener);
+    return addListenerTo(this, event, listener, false);
+  }
+
+  addListener(event, listener) {
+    return this.on(event, listener);
+  }
+
+  prependListener(event, listener) {
+    return addListenerTo(this, event, listener, true);
+  }
+
+  // Listener runs at most once, then removes itself
+  once(event, listener) {
+    return this.on(event, createOnceWrapper(this, event, listener));
+  }
+
+  prependOnceListener(event, listener) {
+    return this.prependListener(event, createOnceWrapper(this, event, listener));
   }
 
   // Unsubscribe from an event
   off(event, listener) {
-    if (!this.events[event]) return;
-    this.events[event] = this.events[event].filter(l => l !== listener);
+    checkListener(listener);
+    const list = this.events[event];
+    if (!list) return this;
+
+    // Match the listener itself or a once() wrapper around it; last one wins
+    let index = -1;
+    for (let i = list.length - 1; i >= 0; i--) {
+      if (list[i] === listener || list[i].listener === listener) {
+        index = i;
+        break;
+      }
+    }
+    if (index === -1) return this;
+
+    const [removed] = list.splice(index, 1);
+    if (list.length === 0) delete this.events[event];
+    if (this.events.removeListener) {
+      this.emit("removeListener", event, removed.listener || removed);
+    }
+    return this;
+  }
+
+  removeListener(event, listener) {
+    return this.off(event, listener);
+  }
+
+  removeAllListeners(event) {
+    // Fast path: nobody watches removals
+    if (!this.events.removeListener) {
+      if (arguments.length === 0) this.events = Object.create(null);
+      else delete this.events[event];
+      return this;
+    }
+
+    if (arguments.length === 0) {
+      // "removeListener" goes last so its listeners hear about everything else
+      this.eventNames()
+        .filter(name => name !== "removeListener")
+        .forEach(name => this.removeAllListeners(name));
+      this.removeAllListeners("removeListener");
+      return this;
+    }
+
+    const list = this.events[event];
+    if (list) {
+      for (let i = list.length - 1; i >= 0; i--) this.off(event, list[i]); // LIFO, like Node
+    }
+    return this;
   }
 
   // Emit (trigger) an event
   emit(event, ...args) {
-    if (!this.events[event]) return;
-    this.events[event].forEach(listener => listener(...args));
+    // meta-events skip middleware: a veto must not swallow emit("error")
+    if (this.middleware.length === 0 || META_EVENTS.includes(event)) return deliverEvent(this, event, args);
+
+    // true only if delivered synchronously (middleware may delay or veto)
+    let delivered = false;
+    runMiddleware(this.middleware, { event, args }, message => {
+      delivered = deliverEvent(this, message.event, message.args);
+      return delivered;
+    });
+    return delivered;
+  }
+
+  listenerCount(event) {
+    const list = this.events[event];
+    return list ? list.length : 0;
+  }
+
+  // Original functions (once() wrappers unwrapped)
+  listeners(event) {
+    return (this.events[event] || []).map(l => l.listener || l);
+  }
+
+  // What is actually stored, including once() wrappers
+  rawListeners(event) {
+    return [...(this.events[event] || [])];
+  }
+
+  eventNames() {
+    return Reflect.ownKeys(this.events); // includes Symbol event names
+  }
+
+  setMaxListeners(n) {
+    if (typeof n !== "number" || n < 0 || Number.isNaN(n)) {
+      throw new RangeError(`The value of "n" is out of range. It must be a non-negative number. Received ${n}`);
+    }
+    this.maxListeners = n;
+    return this;
+  }
+
+  getMaxListeners() {
+    return this.maxListeners === undefined ? EventEmitter.defaultMaxListeners : this.maxListeners;
+  }
+}
+
+// 0 disables the warning; Infinity is also allowed
+EventEmitter.defaultMaxListeners = 10;
+
+function checkListener(listener) {
+  if (typeof listener !== "function") {
+    throw new TypeError(`The "listener" argument must be of type function. Received ${typeof listener}`);
+  }
+}
+
+function addListenerTo(emitter, event, listener, prepend) {
+  checkListener(listener);
+
+  // Fires before adding, with the original function (not the once wrapper)
+  if (emitter.events.newListener) {
+    emitter.emit("newListener", event, listener.listener || listener);
+  }
+
+  const list = emitter.events[event] || (emitter.events[event] = []);
+  if (prepend) list.unshift(listener);
+  else list.push(listener);
+
+  const max = emitter.getMaxListeners();
+  if (max > 0 && list.length > max && !emitter.warnedEvents.has(event)) {
+    emitter.warnedEvents.add(event);
+    console.warn(
+      `MaxListenersExceededWarning: Possible EventEmitter memory leak detected. ` +
+      `${list.length} ${String(event)} listeners added. ` +
+      `Use emitter.setMaxListeners() to increase limit`
+    );
+  }
+  return emitter;
+}
+
+function deliverEvent(emitter, event, args) {
+  const list = emitter.events[event];
+
+  if (!list) {
+    if (event === "error") {
+      const err = args[0];
+      if (err instanceof Error) throw err;
+      const wrapped = new Error(`Unhandled error. (${String(err)})`);
+      wrapped.context = err;
+      throw wrapped;
+    }
+    return false;
+  }
+
+  // snapshot: listeners added/removed during emit don't affect this round
+  invokeListeners(emitter, [...list], listener => listener.apply(emitter, args), { event, args });
+  return true;
+}
+
+function createOnceWrapper(emitter, event, listener) {
+  checkListener(listener);
+  let fired = false;
+  function wrapper(...args) {
+    if (fired) return undefined;
+    fired = true;
+    emitter.off(event, wrapper);
+    return listener.apply(this, args);
   }
+  wrapper.listener = listener; // lets off(event, original) find the wrapper
+  return wrapper;
 }
 
 /**
  * Follow-up Questions:
  * - How would you add once() method (listener runs only once)?
+ *   (wrapper that removes itself before calling; keep .listener for off())
  * - What’s the difference between EventEmitter and Observer?
  * - How would you handle async listeners (await Promise.all)?
+ *   (→ emitAsync / emitAsyncSerial below)
+ * - Why does emit("error") throw when nobody listens? (errors must never
+ *   disappear silently; Node crashes the process)
+ * - Why is the leak warning a warning, not an error? (10+ listeners can be
+ *   legit; usually it means on() inside a loop or a missing off())
+ */
+
+
+/**
+ * Async EventEmitter: emitAsync / emitAsyncSerial
+ *
+ * What do they do?
+ * - emit() ignores what listeners return; these await it
+ * - emitAsync(event, ...args)       → all listeners start at once (parallel)
+ * - emitAsyncSerial(event, ...args) → next listener starts after the previous settles
+ * - Both resolve with one outcome per listener, in registration order:
+ *   { status: "fulfilled", value } | { status: "rejected", reason }
+ * - A throwing or rejecting listener never stops the others
+ * - No listener for "error" → rejects with the error (same rule as emit)
+ *
+ * Why implement it this way?
+ * - Same outcome shape as Promise.allSettled → caller decides whether one
+ *   failure matters (e.g. throw new AggregateError(reasons))
+ * - Snapshot the listener list first, like emit()
+ *
+ * Time Complexity: O(n) listeners
+ * Space Complexity: O(n) outcomes
+ */
+EventEmitter.prototype.emitAsync = function(event, ...args) {
+  return emitToListenersAsync(this, event, args, "parallel");
+};
+
+EventEmitter.prototype.emitAsyncSerial = function(event, ...args) {
+  return emitToListenersAsync(this, event, args, "serial");
+};
+
+async function emitToListenersAsync(emitter, event, args, mode) {
+  if (event === "error" && emitter.listenerCount("error") === 0) {
+    emitter.emit("error", ...args); // throws the Node-style error
+  }
+
+  const listeners = emitter.rawListeners(event);
+  const call = listener => new Promise(resolve => resolve(listener.apply(emitter, args))); // sync throw → rejection
+  const settle = promise => promise.then(
+    value => ({ status: "fulfilled", value }),
+    reason => ({ status: "rejected", reason })
+  );
+
+  if (mode === "parallel") return Promise.all(listeners.map(l => settle(call(l))));
+
+  const outcomes = [];
+  for (const listener of listeners) {
+    outcomes.push(await settle(call(listener)));
+  }
+  return outcomes;
+}
+
+/**
+ * Follow-up Questions:
+ * - When would you pick serial over parallel? (listeners that share state,
+ *   ordered workflow steps, rate-limited side effects)
+ * - Should a rejection abort the remaining serial listeners? (here: no,
+ *   outcomes are collected; a "bail" mode could stop at the first failure)
+ */
+
+
+/**
+ * EventEmitter.once(emitter, event, { signal }) → Promise
+ *
+ * What does it do? (Node's events.once)
+ * - Resolves with the args array of the next `event`
+ * - Rejects if "error" is emitted first, or if the signal aborts (AbortError)
+ * - Always removes its listeners, whichever way it ends
+ *
+ * Example:
+ *   const [user] = await EventEmitter.once(auth, "login");
+ */
+EventEmitter.once = function(emitter, event, { signal } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(createAbortError());
+
+    const cleanup = () => {
+      emitter.off(event, onEvent);
+      if (event !== "error") emitter.off("error", onError);
+      if (signal) signal.removeEventListener("abort", onAbort);
+    };
+    const onEvent = (...args) => {
+      cleanup();
+      resolve(args);
+    };
+    const onError = err => {
+      cleanup();
+      reject(err);
+    };
+    const onAbort = () => onError(createAbortError());
+
+    emitter.on(event, onEvent);
+    if (event !== "error") emitter.on("error", onError);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+};
+
+
+/**
+ * EventEmitter.on(emitter, event, { signal }) → AsyncIterator
+ *
+ * What does it do? (Node's events.on)
+ * - `for await (const [data] of EventEmitter.on(emitter, "data")) { ... }`
+ * - Each iteration yields the args array of one event
+ * - Events that arrive while the loop body is busy are buffered, none are lost
+ * - "error" event → the loop throws; signal abort → the loop throws AbortError
+ * - break / return → listeners removed (iterator.return())
+ *
+ * Why implement it this way?
+ * - Two queues: `buffer` (events nobody asked for yet) and `waiting`
+ *   (next() calls nobody answered yet) – at most one of them is non-empty
+ * - Buffered events are delivered before a pending error, in arrival order
+ *
+ * Time Complexity: O(1) per event / next()
+ * Space Complexity: O(b) – b = buffered events (unbounded: slow consumers grow it)
+ */
+EventEmitter.on = function(emitter, event, { signal } = {}) {
+  if (signal && signal.aborted) throw createAbortError();
+
+  const buffer = [];   // [args, ...] not yet consumed
+  const waiting = [];  // [{ resolve, reject }, ...] next() calls without an event
+  let error = null;    // error to throw once the buffer is drained
+  let finished = false;
+
+  const onEvent = (...args) => {
+    if (waiting.length) waiting.shift().resolve({ value: args, done: false });
+    else buffer.push(args);
+  };
+  const onError = err => {
+    if (waiting.length) waiting.shift().reject(err);
+    else error = err;
+    stop();
+  };
+  const onAbort = () => onError(createAbortError());
+
+  function stop() {
+    if (finished) return;
+    finished = true;
+    emitter.off(event, onEvent);
+    if (event !== "error") emitter.off("error", onError);
+    if (signal) signal.removeEventListener("abort", onAbort);
+    waiting.splice(0).forEach(w => w.resolve({ value: undefined, done: true }));
+  }
+
+  emitter.on(event, onEvent);
+  if (event !== "error") emitter.on("error", onError);
+  if (signal) signal.addEventListener("abort", onAbort, { once: true });
+
+  return {
+    next() {
+      if (buffer.length) return Promise.resolve({ value: buffer.shift(), done: false });
+      if (error) {
+        const err = error;
+        error = null;
+        return Promise.reject(err);
+      }
+      if (finished) return Promise.resolve({ value: undefined, done: true });
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    return() {
+      buffer.length = 0;
+      stop();
+      return Promise.resolve({ value: undefined, done: true });
+    },
+    throw(err) {
+      stop();
+      return Promise.reject(err);
+    },
+    [Symbol.asyncIterator]() {
+      return this;
+    }
+  };
+};
+
+// Copy of createAbortError() in promises.js – this file loads on its own
+function createAbortError(message = "This operation was aborted") {
+  if (typeof DOMException === "function") return new DOMException(message, "AbortError");
+  const err = new Error(message);
+  err.name = "AbortError";
+  return err;
+}
+
+/**
+ * Follow-up Questions:
+ * - What happens if the consumer is slower than the producer? (buffer grows;
+ *   add a highWaterMark and drop oldest / pause the source)
+ * - Why does once() also listen for "error"? (otherwise an error while waiting
+ *   leaves the await hanging forever)
+ * - How is this different from EventTarget + AbortSignal? ({ signal } option of
+ *   addEventListener removes the listener but does not give you a promise)
  */
 
 
@@ -112,40 +1310,295 @@ class EventEmitter {
  * - Observer: Subject knows its observers directly
  * - PubSub: Subscribers are decoupled, only know "topics"
  *
+ * Hierarchical topics (MQTT / AMQP style):
+ * - Topics are dot-separated segments: "orders.eu.created"
+ * - "*" in a subscription matches exactly one segment: "orders.*.created"
+ * - "#" matches zero or more segments: "orders.#" (orders, orders.eu, orders.eu.created)
+ * - Publish always uses a concrete topic (no wildcards)
+ * - Listeners get (data, topic) → the concrete topic that matched
+ *
+ * Retained messages (late subscribers):
+ * - retain(pattern, { count, maxAge }) keeps messages of matching topics:
+ *   { count: 1 } → last value, { count: N } → last N, { maxAge: ms } → time window
+ * - A new subscribe() replays retained messages of every topic its pattern
+ *   matches, oldest first (opt out with { replay: false })
+ * - subscribeDurable(name, pattern, listener): while the named subscription is
+ *   unsubscribed, matching messages queue up in its backlog; subscribing again
+ *   with the same name resumes from where it stopped
+ *
  * Why implement it this way?
- * - Use a dictionary: topic → subscribers[]
- * - Methods: subscribe, unsubscribe, publish
+ * - Subscriptions live in a trie keyed by segment: topic → node path
+ * - publish walks only the branches that can match: the literal segment,
+ *   "*" and "#" → cost depends on topic depth, not on how many thousands
+ *   of unrelated subscriptions exist
+ * - Matched nodes go into a Set → a subscription reachable two ways
+ *   ("a.#.#") still fires once
+ * - Each subscription gets a sequence number → delivery follows subscribe order
+ * - Each message gets a sequence number too → replay across several retained
+ *   topics comes out in publish order
+ * - Retention policies are few → matched linearly; retained messages are
+ *   pruned lazily (on publish and on replay), no timers
  *
  * Time Complexity:
- * - subscribe: O(1)
- * - unsubscribe: O(n)
- * - publish: O(n) for n subscribers of a topic
- * Space Complexity: O(n)
+ * - subscribe: O(d) – d = segments in the pattern
+ * - unsubscribe: O(d + k) – k = listeners on that node
+ * - publish: O(d * w + m log m) – w = wildcard branches tried, m = matched listeners
+ *   (+ O(p + b) for p retention policies and b durable subscriptions)
+ * - replay on subscribe: O(t + r log r) – t = retained topics, r = replayed messages
+ * Space Complexity: O(total pattern segments + listeners + retained/backlog messages)
  */
 class PubSub {
-  constructor() {
-    this.topics = {};
+  // options: { errorMode, onListenerError } – same as EventEmitter
+  //          { onSchemaError } – see "Schema-validated topics" below
+  constructor({ errorMode = "throw", onListenerError = null, onSchemaError = null } = {}) {
+    this.errorMode = checkErrorMode(errorMode);
+    this.onListenerError = onListenerError;
+    this.onSchemaError = onSchemaError;
+    this.middleware = [];
+    this.schemas = new Map();   // topic → { schema, onInvalid }
+    this.root = createTopicNode();
+    this.nextSeq = 0;
+    this.retention = [];        // [{ pattern, count, maxAge }] in registration order
+    this.retained = new Map();  // topic → { policy, messages: [{ seq, topic, data, time }] }
+    this.durables = new Map();  // name → { pattern, active, backlog, maxBacklog }
+    this.messageSeq = 0;
+  }
+
+  // Subscribe to a topic or pattern; returns an unsubscribe function
+  subscribe(topic, listener, { replay = true } = {}) {
+    let node = this.root;
+    for (const segment of splitTopic(topic)) {
+      if (!node.children.has(segment)) node.children.set(segment, createTopicNode());
+      node = node.children.get(segment);
+    }
+    node.listeners.push({ listener, seq: this.nextSeq++ });
+    const unsubscribe = () => this.unsubscribe(topic, listener);
+    if (replay) {
+      try {
+        this.replayRetained(topic, listener);
+      } catch (error) {
+        unsubscribe(); // the caller never gets unsubscribe → don't leave the listener behind
+        throw error;
+      }
+    }
+    return unsubscribe;
+  }
+
+  // Named subscription that keeps a backlog while unsubscribed
+  subscribeDurable(name, topic, listener, { maxBacklog = 1000 } = {}) {
+    let durable = this.durables.get(name);
+    const isNew = !durable;
+
+    if (isNew) {
+      durable = { pattern: topic, active: false, backlog: [], maxBacklog };
+      this.durables.set(name, durable);
+    } else if (durable.active) {
+      throw new Error(`Durable subscription "${name}" is already active`);
+    } else if (durable.pattern !== topic) {
+      throw new Error(`Durable subscription "${name}" is bound to "${durable.pattern}", not "${topic}"`);
+    }
+
+    durable.active = true;
+    // First time: behave like subscribe(). Resume: the backlog already has everything missed.
+    let unsubscribe = null;
+    const deactivate = () => {
+      if (unsubscribe) unsubscribe();
+      durable.active = false; // start collecting a backlog again
+    };
+    try {
+      unsubscribe = this.subscribe(topic, listener, { replay: isNew });
+      replayMessages(this, topic, listener, durable.backlog.splice(0));
+    } catch (error) {
+      deactivate(); // same as subscribe(): a throwing replay leaves nothing registered
+      throw error;
+    }
+    return deactivate;
+  }
+
+  // Forget a durable subscription and its backlog
+  deleteDurable(name) {
+    this.durables.delete(name);
+  }
+
+  // Keep messages of topics matching `pattern`; pass null to stop retaining
+  retain(pattern, policy = {}) {
+    this.retention = this.retention.filter(r => r.pattern !== pattern);
+
+    if (policy === null) {
+      this.retained.forEach((entry, topic) => {
+        if (entry.policy.pattern === pattern) this.retained.delete(topic);
+      });
+      return;
+    }
+
+    const { count = 1, maxAge = Infinity } = policy;
+    if (!(count >= 1)) throw new RangeError(`count must be >= 1, got ${count}`);
+    const next = { pattern, count, maxAge };
+    this.retention.push(next);
+
+    this.retained.forEach(entry => {
+      if (entry.policy.pattern === pattern) {
+        entry.policy = next;
+        pruneRetained(entry);
+      }
+    });
   }
 
-  // Subscribe to a topic
-  subscribe(topic, listener) {
-    if (!this.topics[topic]) this.topics[topic] = [];
-    this.topics[topic].push(listener);
+  // Drop stored messages for one concrete topic (e.g. after logout)
+  clearRetained(topic) {
+    this.retained.delete(topic);
   }
 
-  // Unsubscribe from a topic
+  replayRetained(pattern, listener) {
+    const messages = [];
+    this.retained.forEach((entry, topic) => {
+      if (!topicMatches(pattern, topic)) return;
+      pruneRetained(entry);
+      messages.push(...entry.messages);
+    });
+    messages.sort((a, b) => a.seq - b.seq);
+    replayMessages(this, pattern, listener, messages);
+  }
+
+  recordMessage(topic, data) {
+    const message = { seq: this.messageSeq++, topic, data, time: Date.now() };
+
+    const policy = this.retention.find(r => topicMatches(r.pattern, topic));
+    if (policy) {
+      let entry = this.retained.get(topic);
+      if (!entry || entry.policy !== policy) {
+        entry = { policy, messages: entry ? entry.messages : [] };
+        this.retained.set(topic, entry);
+      }
+      entry.messages.push(message);
+      pruneRetained(entry);
+    }
+
+    this.durables.forEach(durable => {
+      if (durable.active || !topicMatches(durable.pattern, topic)) return;
+      durable.backlog.push(message);
+      if (durable.backlog.length > durable.maxBacklog) durable.backlog.shift(); // drop oldest
+    });
+  }
+
+  // Unsubscribe from a topic or pattern (same string used to subscribe)
   unsubscribe(topic, listener) {
-    if (!this.topics[topic]) return;
-    this.topics[topic] = this.topics[topic].filter(l => l !== listener);
+    const path = [this.root];
+    for (const segment of splitTopic(topic)) {
+      const child = path[path.length - 1].children.get(segment);
+      if (!child) return;
+      path.push(child);
+    }
+
+    const node = path[path.length - 1];
+    node.listeners = node.listeners.filter(entry => entry.listener !== listener);
+
+    // Prune empty branches so dead patterns don't slow down publish
+    const segments = splitTopic(topic);
+    for (let i = path.length - 1; i > 0; i--) {
+      const current = path[i];
+      if (current.listeners.length || current.children.size) break;
+      path[i - 1].children.delete(segments[i - 1]);
+    }
   }
 
-  // Publish a message to a topic
+  // Publish a message to a concrete topic
   publish(topic, data) {
-    if (!this.topics[topic]) return;
-    this.topics[topic].forEach(listener => listener(data));
+    checkPublishTopic(topic);
+    checkPayload(this, topic, data);
+    this.dispatch(topic, data);
+  }
+
+  // Middleware chain, then deliver
+  dispatch(topic, data) {
+    if (this.middleware.length === 0) {
+      this.deliver(topic, data);
+      return;
+    }
+    runMiddleware(this.middleware, { topic, data }, message => {
+      checkPublishTopic(message.topic); // middleware may have rewritten it
+      this.deliver(message.topic, message.data);
+    });
+  }
+
+  // Past middleware: retain/backlog, then call matching listeners
+  deliver(topic, data) {
+    this.recordMessage(topic, data);
+
+    const matched = new Set();
+    collectMatches(this.root, splitTopic(topic), 0, matched);
+
+    const entries = [];
+    matched.forEach(node => entries.push(...node.listeners));
+    entries.sort((a, b) => a.seq - b.seq);
+    invokeListeners(this, entries.map(entry => entry.listener), listener => listener(data, topic), { topic, data });
   }
 }
 
+function checkPublishTopic(topic) {
+  if (splitTopic(topic).some(segment => segment === "*" || segment === "#")) {
+    throw new TypeError(`Cannot publish to wildcard topic "${topic}"`);
+  }
+}
+
+function createTopicNode() {
+  return { children: new Map(), listeners: [] };
+}
+
+function splitTopic(topic) {
+  return String(topic).split(".");
+}
+
+// Single pattern vs concrete topic, same "*" / "#" rules as the trie
+function topicMatches(pattern, topic) {
+  const p = splitTopic(pattern);
+  const t = splitTopic(topic);
+
+  const match = (i, j) => {
+    if (i === p.length) return j === t.length;
+    if (p[i] === "#") {
+      for (let k = j; k <= t.length; k++) {
+        if (match(i + 1, k)) return true;
+      }
+      return false;
+    }
+    if (j === t.length) return false;
+    return (p[i] === "*" || p[i] === t[j]) && match(i + 1, j + 1);
+  };
+
+  return match(0, 0);
+}
+
+// Apply a retention policy: drop expired messages, then keep the newest `count`
+function pruneRetained(entry) {
+  const { count, maxAge } = entry.policy;
+  if (maxAge !== Infinity) {
+    const cutoff = Date.now() - maxAge;
+    entry.messages = entry.messages.filter(message => message.time >= cutoff);
+  }
+  if (entry.messages.length > count) entry.messages = entry.messages.slice(-count);
+}
+
+// Adds every trie node whose pattern matches segments[index..] to `matched`
+function collectMatches(node, segments, index, matched) {
+  const multi = node.children.get("#");
+  if (multi) {
+    // "#" swallows 0..n remaining segments
+    for (let k = index; k <= segments.length; k++) collectMatches(multi, segments, k, matched);
+  }
+
+  if (index === segments.length) {
+    if (node.listeners.length) matched.add(node);
+    return;
+  }
+
+  const exact = node.children.get(segments[index]);
+  if (exact) collectMatches(exact, segments, index + 1, matched);
+
+  const single = node.children.get("*");
+  if (single) collectMatches(single, segments, index + 1, matched);
+}
+
 /**
  * Follow-up Questions:
  * - Difference between PubSub and Observer?
@@ -153,6 +1606,738 @@ class PubSub {
  * - Which is better for large apps (hint: PubSub for decoupling)?
  * - How would you implement async PubSub (await listeners)?
  * - How to persist PubSub events across browser tabs? (localStorage or BroadcastChannel)
+ * - MQTT vs AMQP wildcards? (MQTT: "+" one level, "#" only at the end, "/" separator;
+ *   AMQP topic exchange: "*" and "#" anywhere, "." separator – the rules used here)
+ * - Why a trie instead of testing every pattern with a RegExp? (regex scan is
+ *   O(subscriptions) per publish; the trie only visits matching branches)
+ * - Retained vs durable? (retained = per topic, shared by every late subscriber;
+ *   durable = per named subscriber, everything it missed while away)
+ * - What if a durable subscriber never comes back? (backlog is capped by
+ *   maxBacklog; deleteDurable() frees it)
+ */
+
+
+/**
+ * Error isolation & middleware (EventEmitter and PubSub)
+ *
+ * What does it do?
+ * - errorMode decides what a throwing listener does to the others:
+ *   - "throw" (default, Node behaviour): the error escapes emit/publish, later
+ *     listeners don't run
+ *   - "continue": every listener runs; each error goes to onListenerError
+ *     (console.error if no hook is set)
+ *   - "aggregate": every listener runs, errors go to onListenerError if set,
+ *     then emit/publish throws one AggregateError with all of them
+ * - onListenerError(error, { event | topic, args | data, listener })
+ * - use(middleware) adds a step that runs before delivery, in order:
+ *     emitter.use((message, next) => { ... })   message = { event, args }
+ *     pubsub.use((message, next) => { ... })    message = { topic, data }
+ *   - inspect: log/trace, then next()
+ *   - transform: next({ ...message, data: redact(message.data) })
+ *   - delay: call next() later (setTimeout, after an await, ...)
+ *   - veto: return without calling next()
+ * - emitter.use() returns the emitter (chainable, like on());
+ *   pubsub.use() returns a remove function (like subscribe())
+ *
+ * Why implement it this way?
+ * - Koa-style (message, next): one shape covers all four cases, and code after
+ *   next() sees the delivery result/errors (timing, try/catch around next)
+ * - Middleware wraps delivery only; subscription bookkeeping is unchanged.
+ *   For PubSub, a vetoed message is not retained either
+ * - Middleware list is snapshotted per message, like listeners
+ * - EventEmitter meta-events ("newListener", "removeListener", "error") skip
+ *   middleware: they are bookkeeping, and a veto must never turn an unhandled
+ *   emit("error") into a silent no-op
+ * - PubSub replay (retained messages, durable backlogs) gets the same errorMode
+ *   isolation as live delivery, but no middleware: it already ran when the
+ *   message was first published
+ * - Errors thrown by the onListenerError hook itself are logged, never rethrown
+ *   → one broken hook can't break isolation
+ *
+ * Time Complexity: O(m + n) per message – m = middleware, n = listeners
+ * Space Complexity: O(m) call depth, O(e) collected errors
+ */
+const ERROR_MODES = ["throw", "continue", "aggregate"];
+const META_EVENTS = ["newListener", "removeListener", "error"];
+
+EventEmitter.prototype.use = function(middleware) {
+  checkListener(middleware);
+  this.middleware.push(middleware);
+  return this;
+};
+
+PubSub.prototype.use = function(middleware) {
+  checkListener(middleware);
+  this.middleware.push(middleware);
+  return () => {
+    this.middleware = this.middleware.filter(m => m !== middleware);
+  };
+};
+
+function checkErrorMode(errorMode) {
+  if (!ERROR_MODES.includes(errorMode)) {
+    throw new RangeError(`errorMode must be one of ${ERROR_MODES.join(", ")}. Received ${errorMode}`);
+  }
+  return errorMode;
+}
+
+// owner = EventEmitter | PubSub; context describes the message for the hook
+function invokeListeners(owner, listeners, invoke, context) {
+  const name = "event" in context ? String(context.event) : context.topic;
+  invokeIsolated(owner, listeners, invoke, listener => ({ ...context, listener }), name);
+}
+
+// One listener, many stored messages (retained / durable backlog) matching `pattern`
+function replayMessages(pubsub, pattern, listener, messages) {
+  const contextFor = message => ({ topic: message.topic, data: message.data, listener });
+  invokeIsolated(pubsub, messages, message => listener(message.data, message.topic), contextFor, pattern);
+}
+
+// Calls invoke(item) for every item under owner.errorMode
+function invokeIsolated(owner, items, invoke, contextFor, name) {
+  if (owner.errorMode === "throw") {
+    items.forEach(invoke);
+    return;
+  }
+
+  const errors = [];
+  items.forEach(item => {
+    try {
+      invoke(item);
+    } catch (error) {
+      errors.push(error);
+      reportListenerError(owner, error, contextFor(item));
+    }
+  });
+
+  if (owner.errorMode === "aggregate" && errors.length) {
+    throw new AggregateError(errors, `${errors.length} listener(s) failed for "${name}"`);
+  }
+}
+
+function reportListenerError(owner, error, context) {
+  if (!owner.onListenerError) {
+    if (owner.errorMode === "continue") console.error("Listener error:", error);
+    return;
+  }
+  try {
+    owner.onListenerError(error, context);
+  } catch (hookError) {
+    console.error("onListenerError hook threw:", hookError);
+  }
+}
+
+// Runs middleware[0..] then deliver(message); each step gets (message, next)
+function runMiddleware(middleware, message, deliver) {
+  const chain = [...middleware];
+
+  const dispatch = (index, current) => {
+    if (index === chain.length) return deliver(current);
+    let called = false;
+    return chain[index](current, (next = current) => {
+      if (called) throw new Error("next() called multiple times");
+      called = true;
+      return dispatch(index + 1, next);
+    });
+  };
+
+  return dispatch(0, message);
+}
+
+/**
+ * Example:
+ *   const bus = new PubSub({ errorMode: "continue", onListenerError: (err, { topic }) => report(topic, err) });
+ *   bus.use((message, next) => {
+ *     const start = performance.now();
+ *     next();
+ *     console.debug(message.topic, performance.now() - start, "ms");
+ *   });
+ *   bus.use((message, next) => {
+ *     if (message.topic.startsWith("debug.") && !DEBUG) return; // veto
+ *     next();
+ *   });
+ *
+ * Follow-up Questions:
+ * - Why isn't "continue" the default? (Node parity: silently swallowing
+ *   errors hides bugs; isolation is something you opt into)
+ * - Why not emit listener errors as an "error" event? (a throwing "error"
+ *   listener would recurse; a separate hook can't loop)
+ * - What does emit() return when middleware delays or vetoes? (false: nothing
+ *   was delivered synchronously)
+ * - CrossTabPubSub: middleware runs in each tab on local delivery, so every tab
+ *   can filter what it receives; a veto in the sender doesn't stop the broadcast
+ */
+
+
+/**
+ * Schema-validated topics
+ *
+ * What does it do?
+ * - registerSchema(topic, schema, { onInvalid }) attaches a payload contract to
+ *   a concrete topic; publish() validates before anything is delivered
+ *   - onInvalid: "reject" (default) → publish throws SchemaValidationError
+ *   - onInvalid: "report" → onSchemaError(errors, { topic, data }) is called
+ *     (console.warn if no hook) and the message is still delivered – useful
+ *     while migrating publishers to a new shape
+ * - unregisterSchema(topic)
+ * - listTopics() → [{ topic, schema, onInvalid, subscribers }], sorted by topic:
+ *   every topic that has a schema or a subscription (schema/onInvalid are null
+ *   when there is no schema)
+ *   - concrete topic: subscribers = listeners a publish would reach right now
+ *     (wildcard subscriptions included)
+ *   - wildcard pattern ("orders.*"): subscribers = listeners on that pattern
+ * - Errors: [{ path: "/items/0/price", message: "must be >= 0" }]
+ *   (path is a JSON Pointer into the payload, "" = the payload itself)
+ *
+ * Supported JSON-Schema subset (draft 2020-12 keywords):
+ * - type (string or array; "integer" too), enum, const
+ * - string: minLength, maxLength, pattern
+ * - number: minimum, maximum, exclusiveMinimum, exclusiveMaximum, multipleOf
+ * - object: properties, required, additionalProperties (boolean or schema)
+ * - array: items, minItems, maxItems, uniqueItems
+ * - combinators: allOf, anyOf, oneOf, not
+ * - boolean schemas: true (anything), false (nothing)
+ * - Unknown keywords are ignored, like real validators do
+ *
+ * Why implement it this way?
+ * - No dependency: ~100 lines cover what topic payloads need; $ref, formats
+ *   and remote schemas are out of scope
+ * - Collect all errors instead of stopping at the first → one publish shows
+ *   every broken field
+ * - Concrete topics only: a schema on "orders.#" would be ambiguous once two
+ *   patterns overlap
+ * - Validation happens in publish(), before middleware → the contract is on
+ *   what publishers send. CrossTabPubSub validates before broadcasting, and
+ *   the receiving tab validates against its own registry
+ *
+ * Time Complexity: O(size of payload × schema branches tried) per publish
+ * Space Complexity: O(depth) recursion + O(errors)
+ */
+class SchemaValidationError extends Error {
+  constructor(topic, errors) {
+    const details = errors.map(e => `${e.path || "(root)"} ${e.message}`).join("; ");
+    super(`Invalid payload for "${topic}": ${details}`);
+    this.name = "SchemaValidationError";
+    this.topic = topic;
+    this.errors = errors;
+  }
+}
+
+PubSub.prototype.registerSchema = function(topic, schema, { onInvalid = "reject" } = {}) {
+  checkPublishTopic(topic);
+  if (schema === null || (typeof schema !== "object" && typeof schema !== "boolean")) {
+    throw new TypeError(`Schema for "${topic}" must be an object or boolean`);
+  }
+  if (onInvalid !== "reject" && onInvalid !== "report") {
+    throw new RangeError(`onInvalid must be "reject" or "report". Received ${onInvalid}`);
+  }
+  this.schemas.set(topic, { schema, onInvalid });
+  return this;
+};
+
+PubSub.prototype.unregisterSchema = function(topic) {
+  return this.schemas.delete(topic);
+};
+
+PubSub.prototype.listTopics = function() {
+  const own = new Map(); // subscribed topic/pattern → listeners on that exact node
+  const walk = (node, segments) => {
+    if (node.listeners.length) own.set(segments.join("."), node.listeners.length);
+    node.children.forEach((child, segment) => walk(child, [...segments, segment]));
+  };
+  walk(this.root, []);
+
+  const topics = new Set([...own.keys(), ...this.schemas.keys()]);
+  return [...topics].sort().map(topic => {
+    const entry = this.schemas.get(topic);
+    let subscribers = 0;
+    if (splitTopic(topic).some(segment => segment === "*" || segment === "#")) {
+      subscribers = own.get(topic);
+    } else {
+      const matched = new Set();
+      collectMatches(this.root, splitTopic(topic), 0, matched);
+      matched.forEach(node => {
+        subscribers += node.listeners.length;
+      });
+    }
+    return { topic, schema: entry ? entry.schema : null, onInvalid: entry ? entry.onInvalid : null, subscribers };
+  });
+};
+
+// Throws or reports when `data` breaks the topic's schema; no schema → no-op
+function checkPayload(pubsub, topic, data) {
+  const entry = pubsub.schemas.get(topic);
+  if (!entry) return;
+
+  const errors = validateSchema(entry.schema, data);
+  if (errors.length === 0) return;
+  if (entry.onInvalid === "reject") throw new SchemaValidationError(topic, errors);
+
+  if (pubsub.onSchemaError) pubsub.onSchemaError(errors, { topic, data });
+  else console.warn(new SchemaValidationError(topic, errors).message);
+}
+
+// value / step lands next to an integer, not on it, for decimal steps:
+// 0.3 / 0.1 = 2.9999999999999996 → allow a tiny rounding error
+function isMultipleOf(value, step) {
+  const quotient = value / step;
+  return Math.abs(quotient - Math.round(quotient)) < 1e-9;
+}
+
+// Returns [{ path, message }]; empty array = valid
+function validateSchema(schema, value, path = "", errors = []) {
+  if (schema === true) return errors;
+  if (schema === false) {
+    errors.push({ path, message: "is not allowed" });
+    return errors;
+  }
+
+  const fail = message => errors.push({ path, message });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(type, value))) {
+      fail(`must be ${types.join(" or ")}`);
+      return errors; // other keywords would only add noise
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => jsonEqual(option, value))) {
+    fail(`must be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ("const" in schema && !jsonEqual(schema.const, value)) {
+    fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === "string") {
+    const length = [...value].length; // code points, not UTF-16 units
+    if (schema.minLength !== undefined && length < schema.minLength) fail(`must have at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) fail(`must have at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(value)) fail(`must match ${schema.pattern}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined && !isMultipleOf(value, schema.multipleOf)) fail(`must be a multiple of ${schema.multipleOf}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && value.some((item, i) => value.findIndex(other => jsonEqual(other, item)) !== i)) {
+      fail("must not contain duplicate items");
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => validateSchema(schema.items, item, `${path}/${i}`, errors));
+    }
+  } else if (isJsonObject(value)) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) errors.push({ path: `${path}/${escapePointer(key)}`, message: "is required" });
+    });
+    Object.keys(value).forEach(key => {
+      const childPath = `${path}/${escapePointer(key)}`;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        validateSchema(properties[key], value[key], childPath, errors);
+      } else if (schema.additionalProperties !== undefined) {
+        if (schema.additionalProperties === false) errors.push({ path: childPath, message: "is not an allowed property" });
+        else validateSchema(schema.additionalProperties, value[key], childPath, errors);
+      }
+    });
+  }
+
+  if (schema.allOf) schema.allOf.forEach(sub => validateSchema(sub, value, path, errors));
+  if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(sub, value, path).length === 0)) {
+    fail("must match at least one schema in anyOf");
+  }
+  if (schema.oneOf) {
+    const passing = schema.oneOf.filter(sub => validateSchema(sub, value, path).length === 0).length;
+    if (passing !== 1) fail(`must match exactly one schema in oneOf (matched ${passing})`);
+  }
+  if (schema.not !== undefined && validateSchema(schema.not, value, path).length === 0) {
+    fail("must not match the schema in not");
+  }
+
+  return errors;
+}
+
+function matchesType(type, value) {
+  switch (type) {
+    case "null": return value === null;
+    case "boolean": return typeof value === "boolean";
+    case "string": return typeof value === "string";
+    case "number": return typeof value === "number" && Number.isFinite(value);
+    case "integer": return Number.isInteger(value);
+    case "array": return Array.isArray(value);
+    case "object": return isJsonObject(value);
+    default: return false;
+  }
+}
+
+function isJsonObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+// Structural equality for enum/const/uniqueItems (key order doesn't matter)
+function jsonEqual(a, b) {
+  if (a === b) return true;
+  if (Array.isArray(a) || Array.isArray(b)) {
+    return Array.isArray(a) && Array.isArray(b) && a.length === b.length && a.every((item, i) => jsonEqual(item, b[i]));
+  }
+  if (!isJsonObject(a) || !isJsonObject(b)) return false;
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length &&
+    keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && jsonEqual(a[key], b[key]));
+}
+
+// JSON Pointer escaping (RFC 6901): "~" → "~0", "/" → "~1"
+function escapePointer(key) {
+  return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+/**
+ * Example:
+ *   bus.registerSchema("cart.item.added", {
+ *     type: "object",
+ *     required: ["sku", "qty"],
+ *     properties: {
+ *       sku: { type: "string", pattern: "^[A-Z]{3}-\\d+$" },
+ *       qty: { type: "integer", minimum: 1 },
+ *       price: { type: "number", minimum: 0 }
+ *     },
+ *     additionalProperties: false
+ *   });
+ *   bus.publish("cart.item.added", { sku: "abc", qty: 0 });
+ *   // SchemaValidationError: Invalid payload for "cart.item.added":
+ *   //   /sku must match ^[A-Z]{3}-\d+$; /qty must be >= 1
+ *
+ * Follow-up Questions:
+ * - How would you version a topic's schema? (topic suffix "orders.v2.created",
+ *   or oneOf old/new shape during the migration, with onInvalid: "report")
+ * - Why not TypeScript types instead? (types vanish at runtime and don't cross
+ *   tabs, iframes or teams that ship separately)
+ * - How would you add $ref? (resolve against a root/definitions map, cache the
+ *   resolved schema, guard against recursive refs)
+ */
+
+
+/**
+ * Cross-tab PubSub
+ *
+ * What does it do?
+ * - Same API as PubSub, but publish() also reaches every other open tab
+ *   (logout in one tab → all tabs log out; theme change → all tabs restyle)
+ * - The wire is a pluggable transport:
+ *   - BroadcastChannel (modern browsers)
+ *   - "storage" event fallback (localStorage, works back to IE)
+ *   - in-memory hub (tests, Node, SSR) – also the default in Node, whose global
+ *     BroadcastChannel would keep the process alive with nobody to talk to
+ *
+ * Why implement it this way?
+ * - Transport = { send(message), onMessage(handler) → unsubscribe, close() }
+ *   → PubSub logic doesn't care how bytes move between tabs
+ * - Every message carries `origin` = this instance's tabId; incoming messages
+ *   with our own origin are dropped → no echo, even on transports that
+ *   deliver to the sender (relays, the memory hub)
+ * - Payloads are encoded to plain JSON-safe data before sending (see encodeMessage):
+ *   survives BOTH structured clone (BroadcastChannel) and JSON (localStorage),
+ *   keeps Date/Map/Set/RegExp/undefined/BigInt/ArrayBuffer/typed arrays, and fails
+ *   fast with a DataCloneError on functions/symbols instead of failing in one
+ *   transport only
+ * - An incoming message has no caller to throw to (it runs inside a message
+ *   event), so its errors are reported instead of thrown:
+ *   - schema rejection → onSchemaError(errors, { topic, data }), else console.warn
+ *   - listener errors → onListenerError(error, { topic, data, origin }), else
+ *     console.error; in "aggregate" mode the hook has already seen each error,
+ *     so the AggregateError itself is not reported again
+ *
+ * Time Complexity: O(s) per publish – s = size of the payload (encoding)
+ * Space Complexity: O(s)
+ */
+class CrossTabPubSub extends PubSub {
+  constructor(transport = createCrossTabTransport("pubsub"), { tabId = createTabId(), ...options } = {}) {
+    super(options);
+    this.transport = transport;
+    this.tabId = tabId;
+    this.stopListening = transport.onMessage(message => this.receive(message));
+  }
+
+  // Deliver locally, then broadcast to the other tabs
+  publish(topic, data) {
+    checkPublishTopic(topic);
+    checkPayload(this, topic, data);     // schema and encoding errors throw
+    const payload = encodeMessage(data); // before anything is delivered or sent
+    try {
+      this.dispatch(topic, data);
+    } finally {
+      // a failing local listener must not keep other tabs from hearing about it
+      this.transport.send({ type: "pubsub", origin: this.tabId, topic, payload });
+    }
+  }
+
+  receive(message) {
+    if (!message || message.type !== "pubsub") return; // someone else's channel traffic
+    if (message.origin === this.tabId) return;          // our own echo
+    const { topic, origin } = message;
+    let data;
+    try {
+      data = decodeMessage(message.payload);
+      super.publish(topic, data);
+    } catch (error) {
+      reportReceiveError(this, error, { topic, data, origin });
+    }
+  }
+
+  close() {
+    this.stopListening();
+    this.transport.close();
+  }
+}
+
+function reportReceiveError(pubsub, error, context) {
+  if (error instanceof SchemaValidationError) {
+    if (pubsub.onSchemaError) pubsub.onSchemaError(error.errors, { topic: context.topic, data: context.data });
+    else console.warn(error.message);
+    return;
+  }
+  if (error instanceof AggregateError && pubsub.errorMode === "aggregate" && pubsub.onListenerError) return;
+  if (pubsub.onListenerError) reportListenerError(pubsub, error, context);
+  else console.error(`Cross-tab message on "${context.topic}" failed:`, error);
+}
+
+function createTabId() {
+  if (typeof crypto !== "undefined" && typeof crypto.randomUUID === "function") return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * Transports
+ */
+
+// BroadcastChannel: same-origin tabs, workers and iframes; never delivers to itself
+function createBroadcastChannelTransport(name) {
+  const channel = new BroadcastChannel(name);
+  const handlers = new Set();
+  channel.onmessage = event => handlers.forEach(handler => handler(event.data));
+
+  return {
+    send: message => channel.postMessage(message),
+    onMessage(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    close() {
+      handlers.clear();
+      channel.close();
+    }
+  };
+}
+
+// localStorage: "storage" fires in every OTHER tab when a key changes.
+// Each message gets a unique id so repeated payloads still count as a change,
+// and the key is removed right away so nothing lingers in storage.
+function createStorageTransport(key, storage = window.localStorage, target = window) {
+  const handlers = new Set();
+  let counter = 0;
+
+  const onStorage = event => {
+    if (event.key !== key || event.newValue == null) return; // removeItem → newValue null
+    let message;
+    try {
+      message = JSON.parse(event.newValue).message;
+    } catch (e) {
+      return; // not ours / corrupted
+    }
+    handlers.forEach(handler => handler(message));
+  };
+  target.addEventListener("storage", onStorage);
+
+  return {
+    send(message) {
+      storage.setItem(key, JSON.stringify({ id: `${Date.now()}-${counter++}`, message }));
+      storage.removeItem(key);
+    },
+    onMessage(handler) {
+      handlers.add(handler);
+      return () => handlers.delete(handler);
+    },
+    close() {
+      handlers.clear();
+      target.removeEventListener("storage", onStorage);
+    }
+  };
+}
+
+// In-process stand-in: every connected transport (sender included, like a relay)
+// receives each message asynchronously, after a JSON round trip – so tests
+// catch payloads that would not survive a real transport.
+function createMemoryHub() {
+  const transports = new Set();
+
+  return {
+    connect() {
+      const handlers = new Set();
+      const transport = {
+        send(message) {
+          const wire = JSON.stringify(message);
+          transports.forEach(t => setTimeout(() => t.deliver(JSON.parse(wire)), 0));
+        },
+        deliver: message => handlers.forEach(handler => handler(message)),
+        onMessage(handler) {
+          handlers.add(handler);
+          return () => handlers.delete(handler);
+        },
+        close() {
+          handlers.clear();
+          transports.delete(transport);
+        }
+      };
+      transports.add(transport);
+      return transport;
+    }
+  };
+}
+
+// Best available transport for the current environment.
+// Node 18+ has a global BroadcastChannel, but an open channel keeps the process
+// alive and there are no tabs to reach → Node gets the in-memory hub.
+function createCrossTabTransport(name) {
+  const isNode = typeof process !== "undefined" && process.versions != null && process.versions.node != null;
+  if (!isNode && typeof BroadcastChannel === "function") return createBroadcastChannelTransport(name);
+  if (typeof window !== "undefined" && window.localStorage) return createStorageTransport(`__pubsub__:${name}`);
+  return createMemoryHub().connect(); // no other tabs to talk to
+}
+
+/**
+ * encodeMessage / decodeMessage
+ *
+ * - Turns a payload into plain JSON-safe data and back
+ * - Special values become tagged objects: { $type: "Date", value: ... }
+ * - Plain objects that happen to have a "$type" key are wrapped so they
+ *   can't be mistaken for a tag
+ * - Functions and symbols are not cloneable → DataCloneError, same as
+ *   structuredClone / postMessage would throw
+ * - Class instances arrive as plain objects (own enumerable props), which is
+ *   also what structured clone does – the prototype stays behind
+ * - ArrayBuffer, typed arrays and DataView travel as byte lists; each view gets
+ *   its own copy of the bytes it covers, so two views sharing one buffer
+ *   arrive with separate buffers
+ * - Cycles → DataCloneError (JSON can't carry them)
+ */
+function encodeMessage(value, seen = new Set()) {
+  switch (typeof value) {
+    case "string":
+    case "boolean":
+      return value;
+    case "number":
+      if (Object.is(value, -0)) return { $type: "Number", value: "-0" }; // JSON turns -0 into 0
+      return Number.isFinite(value) ? value : { $type: "Number", value: String(value) };
+    case "undefined":
+      return { $type: "undefined" };
+    case "bigint":
+      return { $type: "BigInt", value: value.toString() };
+    case "function":
+    case "symbol":
+      throw createDataCloneError(`${String(value)} could not be cloned.`);
+  }
+
+  if (value === null) return null;
+  if (seen.has(value)) throw createDataCloneError("Cyclic payloads cannot be sent across tabs.");
+  seen.add(value);
+
+  let encoded;
+  if (Array.isArray(value)) {
+    encoded = value.map(item => encodeMessage(item, seen));
+  } else if (value instanceof Date) {
+    encoded = { $type: "Date", value: value.getTime() };
+  } else if (value instanceof RegExp) {
+    encoded = { $type: "RegExp", source: value.source, flags: value.flags };
+  } else if (value instanceof Map) {
+    encoded = { $type: "Map", value: [...value].map(([k, v]) => [encodeMessage(k, seen), encodeMessage(v, seen)]) };
+  } else if (value instanceof Set) {
+    encoded = { $type: "Set", value: [...value].map(item => encodeMessage(item, seen)) };
+  } else if (value instanceof Error) {
+    encoded = { $type: "Error", name: value.name, message: value.message };
+  } else if (value instanceof ArrayBuffer) {
+    encoded = { $type: "ArrayBuffer", value: Array.from(new Uint8Array(value)) };
+  } else if (ArrayBuffer.isView(value)) {
+    const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    const type = Object.prototype.toString.call(value).slice(8, -1); // "Uint8Array", "DataView", ...
+    encoded = { $type: "View", type, value: Array.from(bytes) };
+  } else {
+    const object = {};
+    Object.keys(value).forEach(key => {
+      object[key] = encodeMessage(value[key], seen);
+    });
+    encoded = Object.prototype.hasOwnProperty.call(value, "$type") ? { $type: "Object", value: object } : object;
+  }
+
+  seen.delete(value); // shared (non-cyclic) references are fine
+  return encoded;
+}
+
+function decodeMessage(value) {
+  if (value === null || typeof value !== "object") return value;
+  if (Array.isArray(value)) return value.map(decodeMessage);
+
+  switch (value.$type) {
+    case "undefined": return undefined;
+    case "Number": return Number(value.value);
+    case "BigInt": return BigInt(value.value);
+    case "Date": return new Date(value.value);
+    case "RegExp": return new RegExp(value.source, value.flags);
+    case "Map": return new Map(value.value.map(([k, v]) => [decodeMessage(k), decodeMessage(v)]));
+    case "Set": return new Set(value.value.map(decodeMessage));
+    case "Error": {
+      const err = new Error(value.message);
+      err.name = value.name;
+      return err;
+    }
+    case "ArrayBuffer": return Uint8Array.from(value.value).buffer;
+    case "View": {
+      if (!VIEW_TYPES.includes(value.type) || typeof globalThis[value.type] !== "function") {
+        throw createDataCloneError(`Unknown view type ${value.type}`);
+      }
+      return new globalThis[value.type](Uint8Array.from(value.value).buffer);
+    }
+    case "Object": return decodePlainObject(value.value);
+    default: return decodePlainObject(value);
+  }
+}
+
+const VIEW_TYPES = [
+  "DataView", "Int8Array", "Uint8Array", "Uint8ClampedArray", "Int16Array", "Uint16Array",
+  "Int32Array", "Uint32Array", "Float16Array", "Float32Array", "Float64Array", "BigInt64Array", "BigUint64Array"
+];
+
+function decodePlainObject(object) {
+  const result = {};
+  Object.keys(object).forEach(key => {
+    result[key] = decodeMessage(object[key]);
+  });
+  return result;
+}
+
+// What structuredClone/postMessage throw for a value they can't copy
+// (lodash-common-functions.js keeps a copy for cloneDeep's structured mode)
+function createDataCloneError(message) {
+  if (typeof DOMException === "function") return new DOMException(message, "DataCloneError");
+  const err = new Error(message);
+  err.name = "DataCloneError";
+  return err;
+}
+
+/**
+ * Follow-up Questions:
+ * - BroadcastChannel vs storage event vs SharedWorker? (BC: simplest, no persistence;
+ *   storage: widest support, string-only, sync I/O; SharedWorker: central state, no Safari for years)
+ * - Why not rely on BroadcastChannel skipping the sender? (other PubSub instances in
+ *   the same tab DO receive it, and relay transports echo → tag the origin)
+ * - What about a tab that opens later? (it missed the message → needs retained state,
+ *   e.g. last logout/theme value)
+ * - Ordering across tabs? (per-sender order holds; no global order without a leader tab)
  */
 
 
@@ -0,0 +1,771 @@
+/***********************************************************
+ * Promises/A+ Conformance Suite for MyPromise
+ *
+ * Run: node "Interview Prep/Polyfills/promises-aplus-suite.js"
+ *
+ * - Self-contained (no npm install): loads promises.js as a plain script
+ * - Mirrors the sections of https://promisesaplus.com
+ *   2.1 states, 2.2 then(), 2.3 Promise Resolution Procedure
+ * - Every "fulfilled"/"rejected" case runs three ways, like the official
+ *   promises-aplus-tests: already settled, settled synchronously in the
+ *   executor, and settled later from a timer
+ ***********************************************************/
+"use strict";
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const source = fs.readFileSync(path.join(__dirname, "promises.js"), "utf8");
+const MyPromise = vm.runInThisContext(`${source}\n;MyPromise`, { filename: "promises.js" });
+
+// Many spec cases deliberately leave rejections unhandled; don't log them
+MyPromise.onUnhandledRejection = null;
+
+/**
+ * Adapter (same shape promises-aplus-tests expects)
+ */
+const adapter = {
+  resolved: value => MyPromise.resolve(value),
+  rejected: reason => MyPromise.reject(reason),
+  deferred() {
+    let resolve, reject;
+    const promise = new MyPromise((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    return { promise, resolve, reject };
+  }
+};
+
+const dummy = { dummy: "dummy" };   // fulfillment value where the value is irrelevant
+const sentinel = { sentinel: "sentinel" };
+const other = { other: "other" };
+
+
+/***********************************************************
+ * Tiny test runner (sequential, done-callback style)
+ ***********************************************************/
+const TIMEOUT_MS = 200;
+const tests = [];
+const prefix = [];
+let failCurrent = null; // lets stray async exceptions fail the running test instead of the process
+
+function describe(name, fn) {
+  prefix.push(name);
+  fn();
+  prefix.pop();
+}
+
+function it(name, fn) {
+  tests.push({ name: [...prefix, name].join(" › "), fn });
+}
+
+function runTest({ fn }) {
+  return new Promise(resolve => {
+    let finished = false;
+    const finish = err => {
+      if (finished) return;
+      finished = true;
+      clearTimeout(timer);
+      resolve(err);
+    };
+    const timer = setTimeout(() => finish(new Error(`timed out after ${TIMEOUT_MS}ms`)), TIMEOUT_MS);
+    failCurrent = finish;
+    try {
+      fn(err => finish(err));
+    } catch (err) {
+      finish(err);
+    }
+  });
+}
+
+// Wraps assertions that run inside handlers so failures reach done()
+function guard(done, fn) {
+  return (...args) => {
+    try {
+      fn(...args);
+    } catch (err) {
+      done(err);
+    }
+  };
+}
+
+async function run() {
+  process.on("uncaughtException", err => failCurrent && failCurrent(err));
+  let failed = 0;
+  for (const test of tests) {
+    const err = await runTest(test);
+    if (err) {
+      failed++;
+      console.log(`  ✗ ${test.name}\n      ${err instanceof Error ? err.message : String(err)}`);
+    } else {
+      console.log(`  ✓ ${test.name}`);
+    }
+  }
+  console.log(`\n${tests.length - failed} passing, ${failed} failing`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+
+/***********************************************************
+ * Helpers: run a case for every way a promise can become settled
+ ***********************************************************/
+function testFulfilled(value, test) {
+  it("already-fulfilled", done => {
+    test(adapter.resolved(value), done);
+  });
+
+  it("immediately-fulfilled", done => {
+    const d = adapter.deferred();
+    test(d.promise, done);
+    d.resolve(value);
+  });
+
+  it("eventually-fulfilled", done => {
+    const d = adapter.deferred();
+    test(d.promise, done);
+    setTimeout(() => d.resolve(value), 10);
+  });
+}
+
+function testRejected(reason, test) {
+  it("already-rejected", done => {
+    test(adapter.rejected(reason), done);
+  });
+
+  it("immediately-rejected", done => {
+    const d = adapter.deferred();
+    test(d.promise, done);
+    d.reject(reason);
+  });
+
+  it("eventually-rejected", done => {
+    const d = adapter.deferred();
+    test(d.promise, done);
+    setTimeout(() => d.reject(reason), 10);
+  });
+}
+
+// Promises that fulfill/reject with `sentinel` in different ways, used to
+// build nested thenables for 2.3.3.3
+const fulfilledThenables = {
+  "a synchronously-fulfilled custom thenable": value => ({ then: onF => onF(value) }),
+  "an asynchronously-fulfilled custom thenable": value => ({ then: onF => setTimeout(() => onF(value), 0) }),
+  "a synchronously-fulfilled one-time thenable": value => {
+    let count = 0;
+    return Object.create(null, {
+      then: { get() { if (++count > 1) throw new Error("then read twice"); return onF => onF(value); } }
+    });
+  },
+  "a thenable that tries to fulfill twice": value => ({ then: onF => { onF(value); onF(other); } }),
+  "a thenable that fulfills but then throws": value => ({ then: onF => { onF(value); throw other; } }),
+  "an already-fulfilled promise": value => adapter.resolved(value),
+  "an eventually-fulfilled promise": value => {
+    const d = adapter.deferred();
+    setTimeout(() => d.resolve(value), 10);
+    return d.promise;
+  }
+};
+
+const rejectedThenables = {
+  "a synchronously-rejected custom thenable": reason => ({ then: (_, onR) => onR(reason) }),
+  "an asynchronously-rejected custom thenable": reason => ({ then: (_, onR) => setTimeout(() => onR(reason), 0) }),
+  "a synchronously-rejected one-time thenable": reason => {
+    let count = 0;
+    return Object.create(null, {
+      then: { get() { if (++count > 1) throw new Error("then read twice"); return (_, onR) => onR(reason); } }
+    });
+  },
+  "a thenable that immediately throws in then": reason => ({ then: () => { throw reason; } }),
+  "an object with a throwing then accessor": reason => Object.create(null, {
+    then: { get() { throw reason; } }
+  }),
+  "an already-rejected promise": reason => adapter.rejected(reason),
+  "an eventually-rejected promise": reason => {
+    const d = adapter.deferred();
+    setTimeout(() => d.reject(reason), 10);
+    return d.promise;
+  }
+};
+
+
+/***********************************************************
+ * 2.1 Promise States
+ ***********************************************************/
+describe("2.1.2: When fulfilled, a promise must not transition to any other state", () => {
+  testFulfilled(dummy, (promise, done) => {
+    let onFulfilledCalled = false;
+    promise.then(() => {
+      onFulfilledCalled = true;
+    }, () => done(new Error("onRejected called after fulfillment")));
+    setTimeout(() => done(onFulfilledCalled ? undefined : new Error("onFulfilled not called")), 50);
+  });
+
+  it("trying to fulfill then immediately reject", done => {
+    const d = adapter.deferred();
+    let onFulfilledCalled = false;
+    d.promise.then(() => {
+      onFulfilledCalled = true;
+    }, () => done(new Error("onRejected called")));
+    d.resolve(dummy);
+    d.reject(dummy);
+    setTimeout(() => done(onFulfilledCalled ? undefined : new Error("onFulfilled not called")), 50);
+  });
+});
+
+describe("2.1.3: When rejected, a promise must not transition to any other state", () => {
+  testRejected(dummy, (promise, done) => {
+    let onRejectedCalled = false;
+    promise.then(() => done(new Error("onFulfilled called after rejection")), () => {
+      onRejectedCalled = true;
+    });
+    setTimeout(() => done(onRejectedCalled ? undefined : new Error("onRejected not called")), 50);
+  });
+
+  it("trying to reject then immediately fulfill", done => {
+    const d = adapter.deferred();
+    let onRejectedCalled = false;
+    d.promise.then(() => done(new Error("onFulfilled called")), () => {
+      onRejectedCalled = true;
+    });
+    d.reject(dummy);
+    d.resolve(dummy);
+    setTimeout(() => done(onRejectedCalled ? undefined : new Error("onRejected not called")), 50);
+  });
+});
+
+
+/***********************************************************
+ * 2.2 The then Method
+ ***********************************************************/
+describe("2.2.1: Both onFulfilled and onRejected are optional arguments", () => {
+  [undefined, null, false, 5, {}].forEach(nonFunction => {
+    it(`onFulfilled = ${String(nonFunction)} is ignored`, done => {
+      adapter.rejected(dummy).then(nonFunction, () => done());
+    });
+
+    it(`onRejected = ${String(nonFunction)} is ignored`, done => {
+      adapter.resolved(dummy).then(() => done(), nonFunction);
+    });
+  });
+});
+
+describe("2.2.2: If onFulfilled is a function", () => {
+  describe("2.2.2.1: it must be called after promise is fulfilled, with promise's value", () => {
+    testFulfilled(sentinel, (promise, done) => {
+      promise.then(guard(done, value => {
+        assert.strictEqual(value, sentinel);
+        done();
+      }));
+    });
+  });
+
+  describe("2.2.2.2: it must not be called before promise is fulfilled", () => {
+    it("fulfilled after a delay", done => {
+      const d = adapter.deferred();
+      let isFulfilled = false;
+      d.promise.then(() => {
+        done(isFulfilled ? undefined : new Error("called before fulfillment"));
+      });
+      setTimeout(() => {
+        d.resolve(dummy);
+        isFulfilled = true;
+      }, 20);
+    });
+
+    it("never fulfilled", done => {
+      const d = adapter.deferred();
+      d.promise.then(() => done(new Error("called on a pending promise")));
+      setTimeout(() => done(), 50);
+    });
+  });
+
+  describe("2.2.2.3: it must not be called more than once", () => {
+    it("resolved twice", done => {
+      const d = adapter.deferred();
+      let calls = 0;
+      d.promise.then(() => calls++);
+      d.resolve(dummy);
+      d.resolve(dummy);
+      setTimeout(() => done(calls === 1 ? undefined : new Error(`called ${calls} times`)), 50);
+    });
+
+    it("resolved, then rejected, from a delay", done => {
+      const d = adapter.deferred();
+      let calls = 0;
+      d.promise.then(() => calls++);
+      setTimeout(() => {
+        d.resolve(dummy);
+        d.reject(dummy);
+      }, 10);
+      setTimeout(() => done(calls === 1 ? undefined : new Error(`called ${calls} times`)), 60);
+    });
+
+    it("then registered multiple times, each called once", done => {
+      const d = adapter.deferred();
+      let calls = [0, 0];
+      d.promise.then(() => calls[0]++);
+      setTimeout(() => {
+        d.promise.then(() => calls[1]++);
+        d.resolve(dummy);
+      }, 10);
+      setTimeout(() => done(calls.every(c => c === 1) ? undefined : new Error(`calls: ${calls}`)), 60);
+    });
+  });
+});
+
+describe("2.2.3: If onRejected is a function", () => {
+  describe("2.2.3.1: it must be called after promise is rejected, with promise's reason", () => {
+    testRejected(sentinel, (promise, done) => {
+      promise.then(null, guard(done, reason => {
+        assert.strictEqual(reason, sentinel);
+        done();
+      }));
+    });
+  });
+
+  describe("2.2.3.2: it must not be called before promise is rejected", () => {
+    it("rejected after a delay", done => {
+      const d = adapter.deferred();
+      let isRejected = false;
+      d.promise.then(null, () => {
+        done(isRejected ? undefined : new Error("called before rejection"));
+      });
+      setTimeout(() => {
+        d.reject(dummy);
+        isRejected = true;
+      }, 20);
+    });
+
+    it("never rejected", done => {
+      const d = adapter.deferred();
+      d.promise.then(null, () => done(new Error("called on a pending promise")));
+      setTimeout(() => done(), 50);
+    });
+  });
+
+  describe("2.2.3.3: it must not be called more than once", () => {
+    it("rejected twice", done => {
+      const d = adapter.deferred();
+      let calls = 0;
+      d.promise.then(null, () => calls++);
+      d.reject(dummy);
+      d.reject(dummy);
+      setTimeout(() => done(calls === 1 ? undefined : new Error(`called ${calls} times`)), 50);
+    });
+
+    it("rejected, then resolved, from a delay", done => {
+      const d = adapter.deferred();
+      let calls = 0;
+      d.promise.then(null, () => calls++);
+      setTimeout(() => {
+        d.reject(dummy);
+        d.resolve(dummy);
+      }, 10);
+      setTimeout(() => done(calls === 1 ? undefined : new Error(`called ${calls} times`)), 60);
+    });
+  });
+});
+
+describe("2.2.4: onFulfilled or onRejected must not be called until the execution context stack contains only platform code", () => {
+  testFulfilled(dummy, (promise, done) => {
+    let thenHasReturned = false;
+    promise.then(() => {
+      done(thenHasReturned ? undefined : new Error("onFulfilled ran synchronously"));
+    });
+    thenHasReturned = true;
+  });
+
+  testRejected(dummy, (promise, done) => {
+    let thenHasReturned = false;
+    promise.then(null, () => {
+      done(thenHasReturned ? undefined : new Error("onRejected ran synchronously"));
+    });
+    thenHasReturned = true;
+  });
+
+  it("when one onFulfilled is added inside another onFulfilled", done => {
+    const promise = adapter.resolved();
+    let firstOnFulfilledFinished = false;
+    promise.then(() => {
+      promise.then(() => {
+        done(firstOnFulfilledFinished ? undefined : new Error("nested onFulfilled ran synchronously"));
+      });
+      firstOnFulfilledFinished = true;
+    });
+  });
+
+  it("when the promise is fulfilled asynchronously", done => {
+    const d = adapter.deferred();
+    let firstStackFinished = false;
+    setTimeout(() => {
+      d.resolve(dummy);
+      firstStackFinished = true;
+    }, 0);
+    d.promise.then(() => {
+      done(firstStackFinished ? undefined : new Error("ran inside resolve()"));
+    });
+  });
+});
+
+describe("2.2.5: onFulfilled and onRejected must be called as functions (with no this value)", () => {
+  it("fulfilled: `this` is undefined in strict mode", done => {
+    adapter.resolved(dummy).then(function () {
+      done(this === undefined ? undefined : new Error("`this` was bound"));
+    });
+  });
+
+  it("rejected: `this` is undefined in strict mode", done => {
+    adapter.rejected(dummy).then(null, function () {
+      done(this === undefined ? undefined : new Error("`this` was bound"));
+    });
+  });
+});
+
+describe("2.2.6: then may be called multiple times on the same promise", () => {
+  describe("2.2.6.1: onFulfilled callbacks execute in the order of their originating calls to then", () => {
+    testFulfilled(sentinel, (promise, done) => {
+      const order = [];
+      promise.then(() => order.push(1));
+      promise.then(() => { order.push(2); throw other; }); // a throwing handler must not affect others
+      promise.then(guard(done, value => {
+        order.push(3);
+        assert.strictEqual(value, sentinel);
+        assert.deepStrictEqual(order, [1, 2, 3]);
+        done();
+      }));
+    });
+  });
+
+  describe("2.2.6.2: onRejected callbacks execute in the order of their originating calls to then", () => {
+    testRejected(sentinel, (promise, done) => {
+      const order = [];
+      promise.then(null, () => order.push(1));
+      promise.then(null, () => { order.push(2); throw other; });
+      promise.then(null, guard(done, reason => {
+        order.push(3);
+        assert.strictEqual(reason, sentinel);
+        assert.deepStrictEqual(order, [1, 2, 3]);
+        done();
+      }));
+    });
+  });
+});
+
+describe("2.2.7: then must return a promise", () => {
+  it("is a promise", () => {
+    const promise2 = adapter.deferred().promise.then();
+    assert.ok(promise2 instanceof MyPromise);
+    assert.strictEqual(typeof promise2.then, "function");
+  });
+
+  describe("2.2.7.2: if onFulfilled throws e, promise2 must be rejected with e", () => {
+    testFulfilled(dummy, (promise, done) => {
+      promise.then(() => { throw sentinel; }).then(null, guard(done, reason => {
+        assert.strictEqual(reason, sentinel);
+        done();
+      }));
+    });
+  });
+
+  describe("2.2.7.2: if onRejected throws e, promise2 must be rejected with e", () => {
+    testRejected(dummy, (promise, done) => {
+      promise.then(null, () => { throw sentinel; }).then(null, guard(done, reason => {
+        assert.strictEqual(reason, sentinel);
+        done();
+      }));
+    });
+  });
+
+  describe("2.2.7.1: a value returned from onRejected fulfills promise2 (recovery)", () => {
+    testRejected(dummy, (promise, done) => {
+      promise.then(null, () => sentinel).then(guard(done, value => {
+        assert.strictEqual(value, sentinel);
+        done();
+      }));
+    });
+  });
+
+  describe("2.2.7.3: if onFulfilled is not a function, promise2 is fulfilled with the same value", () => {
+    testFulfilled(sentinel, (promise, done) => {
+      promise.then(null, () => {}).then(guard(done, value => {
+        assert.strictEqual(value, sentinel);
+        done();
+      }));
+    });
+  });
+
+  describe("2.2.7.4: if onRejected is not a function, promise2 is rejected with the same reason", () => {
+    testRejected(sentinel, (promise, done) => {
+      promise.then(() => {}).then(null, guard(done, reason => {
+        assert.strictEqual(reason, sentinel);
+        done();
+      }));
+    });
+  });
+});
+
+
+/***********************************************************
+ * 2.3 The Promise Resolution Procedure
+ ***********************************************************/
+describe("2.3.1: If promise and x refer to the same object, reject promise with a TypeError", () => {
+  it("via return from a fulfilled promise", done => {
+    const promise = adapter.resolved(dummy).then(() => promise);
+    promise.then(null, guard(done, reason => {
+      assert.ok(reason instanceof TypeError);
+      done();
+    }));
+  });
+
+  it("via return from a rejected promise", done => {
+    const promise = adapter.rejected(dummy).then(null, () => promise);
+    promise.then(null, guard(done, reason => {
+      assert.ok(reason instanceof TypeError);
+      done();
+    }));
+  });
+});
+
+// Returns a promise2 whose onFulfilled handler returns x
+function resolveWith(x) {
+  return adapter.resolved(dummy).then(() => x);
+}
+
+describe("2.3.2: If x is a promise, adopt its state", () => {
+  it("2.3.2.1: if x is pending, promise must remain pending until x is settled", done => {
+    const promise = resolveWith(adapter.deferred().promise);
+    promise.then(() => done(new Error("fulfilled")), () => done(new Error("rejected")));
+    setTimeout(() => done(), 50);
+  });
+
+  describe("2.3.2.2: if/when x is fulfilled, fulfill promise with the same value", () => {
+    testFulfilled(sentinel, (x, done) => {
+      resolveWith(x).then(guard(done, value => {
+        assert.strictEqual(value, sentinel);
+        done();
+      }));
+    });
+  });
+
+  describe("2.3.2.3: if/when x is rejected, reject promise with the same reason", () => {
+    testRejected(sentinel, (x, done) => {
+      resolveWith(x).then(null, guard(done, reason => {
+        assert.strictEqual(reason, sentinel);
+        done();
+      }));
+    });
+  });
+});
+
+describe("2.3.3: Otherwise, if x is an object or function", () => {
+  it("2.3.3.1: x.then is retrieved exactly once", done => {
+    let reads = 0;
+    const x = Object.create(null, {
+      then: { get() { reads++; return onF => onF(); } }
+    });
+    resolveWith(x).then(guard(done, () => {
+      assert.strictEqual(reads, 1);
+      done();
+    }));
+  });
+
+  it("2.3.3.1: works when x is a function with a then property", done => {
+    const x = function () {};
+    x.then = onF => onF(sentinel);
+    resolveWith(x).then(guard(done, value => {
+      assert.strictEqual(value, sentinel);
+      done();
+    }));
+  });
+
+  it("2.3.3.2: if retrieving x.then throws e, reject promise with e", done => {
+    const x = Object.create(null, { then: { get() { throw sentinel; } } });
+    resolveWith(x).then(null, guard(done, reason => {
+      assert.strictEqual(reason, sentinel);
+      done();
+    }));
+  });
+
+  it("2.3.3.3: then is called with x as this", done => {
+    const x = {
+      then(onF) {
+        try {
+          assert.strictEqual(this, x);
+          onF();
+        } catch (err) {
+          done(err);
+        }
+      }
+    };
+    resolveWith(x).then(() => done());
+  });
+
+  describe("2.3.3.3.1: if/when resolvePromise is called with y, run [[Resolve]](promise, y)", () => {
+    Object.keys(fulfilledThenables).forEach(name => {
+      it(`y is ${name}`, done => {
+        const y = fulfilledThenables[name](sentinel);
+        resolveWith({ then: onF => onF(y) }).then(guard(done, value => {
+          assert.strictEqual(value, sentinel);
+          done();
+        }));
+      });
+
+      it(`y is a thenable for ${name} (two levels deep)`, done => {
+        const y = { then: onF => onF(fulfilledThenables[name](sentinel)) };
+        resolveWith({ then: onF => setTimeout(() => onF(y), 0) }).then(guard(done, value => {
+          assert.strictEqual(value, sentinel);
+          done();
+        }));
+      });
+    });
+
+    Object.keys(rejectedThenables).forEach(name => {
+      it(`y is ${name}`, done => {
+        const y = rejectedThenables[name](sentinel);
+        resolveWith({ then: onF => onF(y) }).then(null, guard(done, reason => {
+          assert.strictEqual(reason, sentinel);
+          done();
+        }));
+      });
+    });
+
+    [undefined, null, false, 5, "", {}, [], () => {}].forEach(y => {
+      it(`y is ${JSON.stringify(y) || String(y)} (not a thenable) → fulfill with y`, done => {
+        resolveWith({ then: onF => onF(y) }).then(guard(done, value => {
+          assert.strictEqual(value, y);
+          done();
+        }));
+      });
+    });
+  });
+
+  describe("2.3.3.3.2: if/when rejectPromise is called with r, reject promise with r", () => {
+    it("synchronously", done => {
+      resolveWith({ then: (_, onR) => onR(sentinel) }).then(null, guard(done, reason => {
+        assert.strictEqual(reason, sentinel);
+        done();
+      }));
+    });
+
+    it("asynchronously", done => {
+      resolveWith({ then: (_, onR) => setTimeout(() => onR(sentinel), 0) }).then(null, guard(done, reason => {
+        assert.strictEqual(reason, sentinel);
+        done();
+      }));
+    });
+
+    it("r is a thenable → not unwrapped", done => {
+      const r = adapter.resolved(dummy);
+      resolveWith({ then: (_, onR) => onR(r) }).then(null, guard(done, reason => {
+        assert.strictEqual(reason, r);
+        done();
+      }));
+    });
+  });
+
+  describe("2.3.3.3.3: if both are called, or the same one multiple times, the first call wins", () => {
+    const cases = {
+      "resolvePromise then rejectPromise": (onF, onR) => { onF(sentinel); onR(other); },
+      "rejectPromise then resolvePromise": (onF, onR) => { onR(sentinel); onF(other); },
+      "resolvePromise twice": onF => { onF(sentinel); onF(other); },
+      "rejectPromise twice": (onF, onR) => { onR(sentinel); onR(other); },
+      "resolvePromise with a pending thenable, then rejectPromise": (onF, onR) => {
+        onF({ then: f => setTimeout(() => f(sentinel), 10) });
+        onR(other);
+      },
+      "calls spread across ticks": (onF, onR) => {
+        setTimeout(() => onF(sentinel), 0);
+        setTimeout(() => onR(other), 0);
+        setTimeout(() => onF(other), 0);
+      }
+    };
+
+    Object.keys(cases).forEach(name => {
+      it(name, done => {
+        let settledCount = 0;
+        const check = guard(done, value => {
+          settledCount++;
+          assert.strictEqual(value, sentinel);
+        });
+        resolveWith({ then: cases[name] }).then(check, check);
+        setTimeout(() => done(settledCount === 1 ? undefined : new Error(`settled ${settledCount} times`)), 60);
+      });
+    });
+  });
+
+  describe("2.3.3.3.4: if calling then throws an exception e", () => {
+    it("2.3.3.3.4.1: ignored if resolvePromise was already called", done => {
+      resolveWith({ then: onF => { onF(sentinel); throw other; } }).then(guard(done, value => {
+        assert.strictEqual(value, sentinel);
+        done();
+      }), () => done(new Error("rejected")));
+    });
+
+    it("2.3.3.3.4.1: ignored if rejectPromise was already called", done => {
+      resolveWith({ then: (_, onR) => { onR(sentinel); throw other; } }).then(null, guard(done, reason => {
+        assert.strictEqual(reason, sentinel);
+        done();
+      }));
+    });
+
+    it("2.3.3.3.4.2: otherwise reject promise with e", done => {
+      resolveWith({ then: () => { throw sentinel; } }).then(null, guard(done, reason => {
+        assert.strictEqual(reason, sentinel);
+        done();
+      }));
+    });
+  });
+
+  describe("2.3.3.4: if then is not a function, fulfill promise with x", () => {
+    [5, {}, [function () {}], null, undefined].forEach(then => {
+      it(`then = ${JSON.stringify(then) || String(then)}`, done => {
+        const x = { then };
+        resolveWith(x).then(guard(done, value => {
+          assert.strictEqual(value, x);
+          done();
+        }));
+      });
+    });
+  });
+});
+
+describe("2.3.4: If x is not an object or function, fulfill promise with x", () => {
+  [undefined, null, false, true, 0, 5, "", "str", Symbol("s")].forEach(x => {
+    it(`x = ${String(x)}`, done => {
+      // booleans/numbers with a `then` on their prototype must still not be treated as thenables
+      resolveWith(x).then(guard(done, value => {
+        assert.strictEqual(value, x);
+        done();
+      }));
+    });
+  });
+
+  it("does not look up Number.prototype.then", done => {
+    const original = Number.prototype.then;
+    Number.prototype.then = () => done(new Error("Number.prototype.then was called"));
+    resolveWith(5).then(guard(done, value => {
+      Number.prototype.then = original;
+      assert.strictEqual(value, 5);
+      done();
+    }), () => {
+      Number.prototype.then = original;
+    });
+  });
+});
+
+
+// Synchronous tests (no done param) are wrapped so the runner treats them uniformly
+tests.forEach(test => {
+  if (test.fn.length === 0) {
+    const syncFn = test.fn;
+    test.fn = done => {
+      syncFn();
+      done();
+    };
+  }
+});
+
+run();
@@ -23,27 +23,51 @@
  * Space Complexity: O(n) for handler queue
  *
  * Performance Considerations:
- * - Real Promises use microtask queue (Event Loop); ours executes sync
- * - For interview, focus on "state machine" explanation
+ * - Handlers always run on the microtask queue (like native Promises),
+ *   even when the promise is already settled → consistent async ordering
+ * - Falls back to setTimeout where queueMicrotask is unavailable
+ *
+ * Promises/A+ notes (see promises-aplus-suite.js for the conformance run):
+ * - 2.2.4: onFulfilled/onRejected never run synchronously inside then()
+ * - 2.3.1: resolving a promise with itself rejects with a TypeError
+ * - 2.3.3: thenables are assimilated; `then` is read exactly once and
+ *          only the first resolve/reject/throw from it counts
  */
 class MyPromise {
   constructor(executor) {
+    if (typeof executor !== "function") {
+      throw new TypeError(`Promise resolver ${executor} is not a function`);
+    }
+
     this.state = "pending";  // "pending" | "fulfilled" | "rejected"
     this.value = undefined;  // stores resolved value or rejection reason
     this.handlers = [];      // stores then() callbacks if pending
+    this.handled = false;    // has anyone called then()/catch() on this promise?
+    if (promiseDebug.enabled) registerPromise(this); // debug mode only (see below)
 
-    const resolve = (value) => {
-      if (this.state !== "pending") return; // ignore multiple calls
-      this.state = "fulfilled";
+    const settle = (state, value) => {
+      if (this.state !== "pending") return; // state is final once settled
+      this.state = state;
       this.value = value;
-      this.handlers.forEach(h => h.onFulfilled(value)); // flush queue
+      const handlers = this.handlers;
+      this.handlers = [];
+      handlers.forEach(h => scheduleMicrotask(() => h[state](value))); // flush queue async
+      if (state === "rejected" && !this.handled) trackRejection(this);
+    };
+
+    // resolve/reject pair is single-use: after the first call (even if it
+    // only adopted a still-pending thenable) further calls are ignored
+    let alreadyResolved = false;
+    const resolve = (value) => {
+      if (alreadyResolved) return;
+      alreadyResolved = true;
+      resolvePromise(this, value, v => settle("fulfilled", v), e => settle("rejected", e));
     };
 
     const reject = (error) => {
-      if (this.state !== "pending") return;
-      this.state = "rejected";
-      this.value = error;
-      this.handlers.forEach(h => h.onRejected(error));
+      if (alreadyResolved) return;
+      alreadyResolved = true;
+      settle("rejected", error);
     };
 
     // Immediately invoke executor with resolve & reject
@@ -55,48 +79,398 @@ class MyPromise {
   }
 
   then(onFulfilled, onRejected) {
+    if (!this.handled) {
+      this.handled = true;
+      if (this.state === "rejected") trackHandled(this); // late handler
+    }
+
     // Returns a new promise to enable chaining
-    return new MyPromise((resolve, reject) => {
-      const handle = () => {
-        if (this.state === "fulfilled") {
+    const promise2 = new MyPromise((resolve, reject) => {
+      const handler = {
+        // Non-function handlers are ignored → value/reason passes through
+        fulfilled: value => {
+          if (typeof onFulfilled !== "function") return resolve(value);
           try {
-            resolve(onFulfilled ? onFulfilled(this.value) : this.value);
+            resolve(onFulfilled(value)); // result goes through [[Resolve]]
           } catch (err) {
             reject(err);
           }
-        } else if (this.state === "rejected") {
+        },
+        rejected: reason => {
+          if (typeof onRejected !== "function") return reject(reason);
           try {
-            reject(onRejected ? onRejected(this.value) : this.value);
+            resolve(onRejected(reason)); // handled rejection → chain recovers
           } catch (err) {
             reject(err);
           }
-        } else {
-          // Still pending: save callbacks for later
-          this.handlers.push({
-            onFulfilled: val => resolve(onFulfilled ? onFulfilled(val) : val),
-            onRejected: err => reject(onRejected ? onRejected(err) : err)
-          });
         }
       };
-      handle();
+
+      if (this.state === "pending") {
+        this.handlers.push(handler); // save callbacks for later
+      } else {
+        const { state, value } = this;
+        scheduleMicrotask(() => handler[state](value)); // already settled → still async
+      }
+    });
+    return tracePromise(promise2, "then", [this]);
+  }
+}
+
+/**
+ * scheduleMicrotask()
+ *
+ * - Runs fn after the current call stack has emptied
+ * - queueMicrotask → same queue native Promises use
+ * - setTimeout fallback → macrotask, later than native but still async (A+ 3.1 allows it)
+ */
+function scheduleMicrotask(fn) {
+  if (typeof queueMicrotask === "function") queueMicrotask(fn);
+  else setTimeout(fn, 0);
+}
+
+/**
+ * Unhandled rejection tracking
+ *
+ * What do browsers / Node do?
+ * - A rejected promise with no handler is reported once the current turn
+ *   (sync code + queued microtasks) is over → "unhandledrejection"
+ * - If a handler is attached later, a second event fires → "rejectionhandled"
+ *
+ * Why implement it this way?
+ * - Rejection without a handler → remember it in `pendingRejections`
+ * - then()/catch() before the flush → silently forgotten (the common case)
+ * - Flush on a macrotask (setTimeout) so every microtask has had a chance
+ *   to attach handlers, e.g. `await` on a thenable subscribes one job later
+ * - Reported promises go in a WeakSet, so a late handler can be announced
+ *   without keeping rejected promises alive forever
+ *
+ * Hooks (pluggable, replace or set to null):
+ * - MyPromise.onUnhandledRejection(reason, promise)
+ * - MyPromise.onRejectionHandled(promise)
+ *
+ * Time Complexity: O(1) per rejection/handler, O(k) per flush (k = pending rejections)
+ * Space Complexity: O(k)
+ */
+const pendingRejections = new Set();
+const reportedRejections = new WeakSet();
+let rejectionFlushScheduled = false;
+
+function trackRejection(promise) {
+  pendingRejections.add(promise);
+  if (rejectionFlushScheduled) return;
+  rejectionFlushScheduled = true;
+  setTimeout(flushRejections, 0);
+}
+
+function trackHandled(promise) {
+  if (pendingRejections.delete(promise)) return; // handled in time → nothing to report
+  if (!reportedRejections.has(promise)) return;
+  reportedRejections.delete(promise);
+  if (typeof MyPromise.onRejectionHandled === "function") {
+    MyPromise.onRejectionHandled(promise);
+  }
+}
+
+function flushRejections() {
+  rejectionFlushScheduled = false;
+  const rejected = [...pendingRejections];
+  pendingRejections.clear();
+
+  rejected.forEach(promise => {
+    reportedRejections.add(promise);
+    if (typeof MyPromise.onUnhandledRejection === "function") {
+      MyPromise.onUnhandledRejection(promise.value, promise);
+    }
+  });
+}
+
+// Defaults mirror the browser: log, don't crash
+MyPromise.onUnhandledRejection = (reason, promise) => {
+  console.error("Unhandled MyPromise rejection:", reason);
+  if (promise.debug) console.error(MyPromise.getAsyncStack(promise)); // debug mode: where did it come from?
+};
+MyPromise.onRejectionHandled = null;
+
+/**
+ * Follow-up Questions:
+ * - Why not report immediately on reject()? (handlers are usually attached
+ *   right after, e.g. `MyPromise.reject(e).catch(...)`)
+ * - Node's default is to crash the process; browsers only log. Which is better?
+ * - How would you test a combinator for leaked rejections?
+ *   (swap onUnhandledRejection for a spy, run it, wait a macrotask, assert no calls)
+ */
+
+/***********************************************************
+ * Debug mode: async stack traces + promise graph
+ ***********************************************************/
+
+/**
+ * What does it do?
+ * - Opt-in: MyPromise.enableDebug() / MyPromise.disableDebug()
+ * - Every promise created while enabled gets `promise.debug`:
+ *   { id, kind, parents, adopted, stack } – kind = "new" | "then" | "catch" | "finally" | "all" | ...
+ * - then/catch/finally link the new promise to the one it was called on;
+ *   combinators link their result to every input promise
+ * - A promise resolved with another MyPromise (a handler returning a promise)
+ *   records it as `debug.adopted` → the trace continues into the code that
+ *   made the adopted promise instead of stopping at "resolve"
+ * - MyPromise.getAsyncStack(p) → creation stacks of p and its ancestors
+ *   (what a native "async stack trace" in DevTools shows)
+ * - MyPromise.getPromiseGraph() / exportPromiseGraph("json" | "dot")
+ *   → nodes (with current state) + parent → child edges
+ *
+ * Why implement it this way?
+ * - Capturing `new Error().stack` per promise is expensive → off by default
+ * - Parents are stored as references and resolved to ids at export time,
+ *   so the graph always shows the *current* state of each promise
+ * - DOT output renders with Graphviz; pending nodes are highlighted,
+ *   which is exactly what you look for when a chain "hangs"
+ *
+ * Time Complexity: O(1) per promise while enabled (+ stack capture), O(n + e) per export
+ * Space Complexity: O(n) – registry keeps promises alive until clearPromiseGraph()
+ */
+const promiseDebug = {
+  enabled: false,
+  nextId: 1,
+  registry: new Set()
+};
+
+// Frames from this file only add noise to a creation stack
+const INTERNAL_FRAME = /\bMyPromise\b|\b(registerPromise|captureStack|tracePromise|resolvePromise|scheduleMicrotask|runCancellable)\b/;
+
+function captureStack() {
+  const limit = Error.stackTraceLimit;
+  Error.stackTraceLimit = 30; // internal frames get filtered out below
+  const stack = new Error().stack || "";
+  Error.stackTraceLimit = limit;
+
+  return stack
+    .split("\n")
+    .slice(1) // "Error" header
+    .filter(line => !INTERNAL_FRAME.test(line))
+    .map(line => `    ${line.trim()}`)
+    .join("\n");
+}
+
+function registerPromise(promise) {
+  promise.debug = {
+    id: promiseDebug.nextId++,
+    kind: "new",
+    parents: [],
+    adopted: null, // MyPromise this one was resolved with, if any
+    stack: captureStack()
+  };
+  promiseDebug.registry.add(promise);
+}
+
+// Relabels a freshly created promise with how it was made and what it came from.
+// `parents` is kept by reference: map() adds inputs as it pulls them.
+function tracePromise(promise, kind, parents) {
+  if (promise.debug) {
+    promise.debug.kind = kind;
+    promise.debug.parents = parents;
+  }
+  return promise;
+}
+
+function tracedParents(promise) {
+  return promise.debug.parents.filter(p => p instanceof MyPromise && p.debug);
+}
+
+function describeValue(promise) {
+  if (promise.state === "pending") return undefined;
+  const value = promise.value;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  let text;
+  try {
+    text = typeof value === "object" && value !== null ? JSON.stringify(value) : String(value);
+  } catch (e) {
+    text = Object.prototype.toString.call(value); // cyclic / BigInt inside
+  }
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+MyPromise.enableDebug = function() {
+  promiseDebug.enabled = true;
+};
+
+MyPromise.disableDebug = function() {
+  promiseDebug.enabled = false;
+};
+
+MyPromise.clearPromiseGraph = function() {
+  promiseDebug.registry.clear();
+};
+
+/**
+ * MyPromise.getAsyncStack(promise)
+ *
+ * - Walks from the promise up through its parents
+ * - At a combinator, follows the rejected input (the one that fed the failure)
+ * - An adopted promise is walked first (its chain produced the result),
+ *   then the parent chain of the promise that adopted it
+ */
+MyPromise.getAsyncStack = function(promise) {
+  const sections = [];
+  const seen = new Set();
+  const pending = [{ promise, note: "" }]; // depth-first, last pushed = next
+
+  while (pending.length) {
+    const { promise: current, note } = pending.pop();
+    if (!current || !current.debug || seen.has(current)) continue;
+    seen.add(current);
+    const { id, kind, stack, adopted } = current.debug;
+    sections.push(`#${id} ${kind} (${current.state})${note}\n${stack}`);
+
+    const parents = tracedParents(current);
+    pending.push({ promise: parents.find(p => p.state === "rejected") || parents[0], note: "" });
+    if (adopted) pending.push({ promise: adopted, note: ` – adopted by #${id}` });
+  }
+
+  return sections.join("\n--- async ---\n");
+};
+
+MyPromise.getPromiseGraph = function() {
+  const nodes = [];
+  const edges = [];
+
+  promiseDebug.registry.forEach(promise => {
+    const { id, kind, stack } = promise.debug;
+    nodes.push({ id, kind, state: promise.state, value: describeValue(promise), handled: promise.handled, stack });
+    tracedParents(promise).forEach(parent => {
+      if (promiseDebug.registry.has(parent)) edges.push({ from: parent.debug.id, to: id, kind });
     });
+    const { adopted } = promise.debug;
+    if (adopted && promiseDebug.registry.has(adopted)) edges.push({ from: adopted.debug.id, to: id, kind: "adopt" });
+  });
+
+  return { nodes, edges };
+};
+
+MyPromise.exportPromiseGraph = function(format = "json") {
+  const graph = MyPromise.getPromiseGraph();
+  if (format === "json") return JSON.stringify(graph, null, 2);
+  if (format !== "dot") throw new RangeError(`Unknown graph format "${format}" (use "json" or "dot")`);
+
+  const colors = { pending: "gold", fulfilled: "palegreen", rejected: "salmon" };
+  const escape = text => String(text).replace(/\\/g, "\\\\").replace(/"/g, '\\"');
+  const lines = ["digraph MyPromise {", "  rankdir=LR;", "  node [shape=box, style=filled];"];
+
+  graph.nodes.forEach(({ id, kind, state, value }) => {
+    const label = `#${id} ${kind}\\n${state}${value === undefined ? "" : `: ${escape(value)}`}`;
+    lines.push(`  p${id} [label="${label}", fillcolor="${colors[state]}"];`);
+  });
+  graph.edges.forEach(({ from, to, kind }) => {
+    lines.push(`  p${from} -> p${to} [label="${kind}"];`);
+  });
+  lines.push("}");
+
+  return lines.join("\n");
+};
+
+/**
+ * Follow-up Questions:
+ * - How do DevTools show async stacks for native promises? (V8 links the
+ *   await/then continuation to the suspended promise; zero-cost async stack traces)
+ * - Why does the registry leak in long sessions? (strong refs; WeakRef +
+ *   FinalizationRegistry would let collected promises drop out)
+ * - How would you find a chain stuck in pending? (export, look for pending
+ *   nodes whose parents are all pending → the root is the one never settled)
+ */
+
+/**
+ * resolvePromise() – the Promise Resolution Procedure [[Resolve]](promise, x)
+ *
+ * What does it do?
+ * - Decides how `promise` settles when resolved with `x`
+ * - x === promise → reject with TypeError (would wait on itself forever)
+ * - x is a thenable → adopt its eventual state (recursively)
+ * - anything else → fulfill with x
+ *
+ * Why implement it this way?
+ * - Covers MyPromise instances and foreign thenables with one code path
+ * - `then` is read once (a getter may return different values each time)
+ * - `called` flag guards against thenables that call both callbacks,
+ *   call them repeatedly, or throw after calling one
+ *
+ * Time Complexity: O(d) – d = depth of nested thenables
+ * Space Complexity: O(1) per level
+ */
+function resolvePromise(promise, x, fulfill, reject) {
+  if (x === promise) {
+    return reject(new TypeError("Chaining cycle detected for promise"));
+  }
+
+  if (x === null || (typeof x !== "object" && typeof x !== "function")) {
+    return fulfill(x); // plain value
+  }
+
+  let then;
+  try {
+    then = x.then; // read once
+  } catch (e) {
+    return reject(e);
+  }
+
+  if (typeof then !== "function") return fulfill(x); // object, not a thenable
+  if (promise.debug && x instanceof MyPromise && x.debug) promise.debug.adopted = x; // debug: async stack follows x
+
+  let called = false;
+  try {
+    then.call(
+      x,
+      y => {
+        if (called) return;
+        called = true;
+        resolvePromise(promise, y, fulfill, reject); // y may be a thenable too
+      },
+      r => {
+        if (called) return;
+        called = true;
+        reject(r);
+      }
+    );
+  } catch (e) {
+    if (!called) {
+      called = true;
+      reject(e);
+    }
   }
 }
 
 /**
  * Follow-up Questions:
  * - Why do real Promises run callbacks asynchronously (microtasks)?
+ *   (Zalgo: a callback that is sometimes sync, sometimes async is unpredictable)
  * - How would you add `.catch()` and `.finally()` support?
  * - What happens if resolve() is called twice? Why ignore?
  * - How would you handle "thenables" (objects with a then method)?
+ *   (resolvePromise: read `then` once, call it with x as `this`, first call wins)
+ * - Why does native Promise run thenable.then in a separate job? (protects the
+ *   caller's stack from a thenable that calls back synchronously)
+ */
+
+
+/**
+ * toArray() – shared input handling for the combinators
+ *
+ * - Native combinators accept any iterable (Set, generator, arguments, string)
+ * - Non-iterables → TypeError, thrown inside the executor so it becomes a rejection
  */
+function toArray(iterable, method) {
+  if (iterable == null || typeof iterable[Symbol.iterator] !== "function") {
+    throw new TypeError(`MyPromise.${method} expects an iterable, got ${iterable}`);
+  }
+  return Array.from(iterable);
+}
 
 
 /**
  * Promise.all polyfill
  *
  * What does native Promise.all do?
- * - Takes an array of promises (or values)
+ * - Takes an iterable of promises (or values)
  * - Resolves when ALL promises resolve
  * - Returns an array of results in order
  * - Rejects immediately if ANY promise rejects
@@ -109,11 +483,15 @@ class MyPromise {
  * Time Complexity: O(n) to register n promises
  * Space Complexity: O(n) for result array
  */
-MyPromise.all = function(promises) {
-  return new MyPromise((resolve, reject) => {
+MyPromise.all = function(iterable) {
+  let promises = []; // filled synchronously by the executor, read by tracePromise
+  const result = new MyPromise((resolve, reject) => {
+    promises = toArray(iterable, "all");
     const results = [];
     let completed = 0;
 
+    if (promises.length === 0) return resolve(results); // nothing to wait for
+
     promises.forEach((p, i) => {
       MyPromise.resolve(p).then(val => {
         results[i] = val;   // store result at correct index
@@ -122,6 +500,7 @@ MyPromise.all = function(promises) {
       }, reject);           // reject immediately if any fail
     });
   });
+  return tracePromise(result, "all", promises);
 };
 
 /**
@@ -147,11 +526,17 @@ MyPromise.all = function(promises) {
  * Time Complexity: O(n)
  * Space Complexity: O(n) for error array
  */
-MyPromise.any = function(promises) {
-  return new MyPromise((resolve, reject) => {
+MyPromise.any = function(iterable) {
+  let promises = [];
+  const result = new MyPromise((resolve, reject) => {
+    promises = toArray(iterable, "any");
     let errors = [];
     let rejectedCount = 0;
 
+    if (promises.length === 0) {
+      return reject(new AggregateError(errors, "All promises rejected")); // nothing can succeed
+    }
+
     promises.forEach((p, i) => {
       MyPromise.resolve(p).then(resolve, err => {
         errors[i] = err;
@@ -162,6 +547,7 @@ MyPromise.any = function(promises) {
       });
     });
   });
+  return tracePromise(result, "any", promises);
 };
 
 /**
@@ -178,6 +564,7 @@ MyPromise.any = function(promises) {
  * What does native Promise.race do?
  * - Returns a promise that settles (resolve/reject) as soon as ANY input settles
  * - First one to finish decides the result
+ * - Empty input → stays pending forever (same as native)
  *
  * Why implement it this way?
  * - Iterate over input promises
@@ -190,13 +577,17 @@ MyPromise.any = function(promises) {
  * Performance Considerations:
  * - Does not cancel the "losing" promises, they still run
  * - In real-world, you might want to abort/cancel pending async ops
+ *   (→ MyPromise.raceCancellable below)
  */
-MyPromise.race = function(promises) {
-  return new MyPromise((resolve, reject) => {
+MyPromise.race = function(iterable) {
+  let promises = [];
+  const result = new MyPromise((resolve, reject) => {
+    promises = toArray(iterable, "race");
     promises.forEach(p => {
       MyPromise.resolve(p).then(resolve, reject);
     });
   });
+  return tracePromise(result, "race", promises);
 };
 
 /**
@@ -214,31 +605,40 @@ MyPromise.race = function(promises) {
  * - Waits for ALL input promises to settle (resolve or reject)
  * - Never short-circuits on reject (unlike all)
  * - Returns array of objects: { status: "fulfilled", value } or { status: "rejected", reason }
+ * - Extension: a plain object/Map of promises → same keys, each mapped to its outcome
  *
  * Why implement it this way?
  * - Track number of completed promises
  * - Push result objects for each
  * - Resolve only when all have settled
+ * - Keyed form reuses the same logic over entries (see keyedEntries / fromEntries)
  *
  * Time Complexity: O(n)
  * Space Complexity: O(n) for result array
  */
-MyPromise.allSettled = function(promises) {
-  return new MyPromise((resolve) => {
+MyPromise.allSettled = function(input) {
+  let entries = [];
+  const result = new MyPromise((resolve) => {
+    const keyed = isKeyedInput(input);
+    entries = keyed ? keyedEntries(input) : toArray(input, "allSettled").map((p, i) => [i, p]);
     const results = [];
     let completed = 0;
 
-    promises.forEach((p, i) => {
+    const done = () => resolve(keyed ? fromEntries(input, entries, results) : results);
+    if (entries.length === 0) return done();
+
+    entries.forEach(([, p], i) => {
       MyPromise.resolve(p).then(val => {
         results[i] = { status: "fulfilled", value: val };
       }).catch(err => {
         results[i] = { status: "rejected", reason: err };
       }).finally(() => {
         completed++;
-        if (completed === promises.length) resolve(results);
+        if (completed === entries.length) done();
       });
     });
   });
+  return tracePromise(result, "allSettled", entries.map(([, p]) => p));
 };
 
 /**
@@ -248,6 +648,178 @@ MyPromise.allSettled = function(promises) {
  */
 
 
+/**
+ * Keyed input helpers (props, allSettled on objects)
+ *
+ * - Map → entries in insertion order, result is a new Map
+ * - Plain object → own enumerable string keys, result is a plain object
+ * - Anything iterable (arrays, Sets, generators) stays positional
+ */
+function isKeyedInput(input) {
+  if (input instanceof Map) return true;
+  return input !== null && typeof input === "object" && typeof input[Symbol.iterator] !== "function";
+}
+
+function keyedEntries(input) {
+  return input instanceof Map ? [...input.entries()] : Object.entries(input);
+}
+
+function fromEntries(input, entries, values) {
+  if (input instanceof Map) return new Map(entries.map(([key], i) => [key, values[i]]));
+  const result = {};
+  entries.forEach(([key], i) => {
+    result[key] = values[i];
+  });
+  return result;
+}
+
+
+/**
+ * MyPromise.props (Bluebird)
+ *
+ * What does it do?
+ * - Like all(), but for an object (or Map) of promises
+ * - props({ user: getUser(), posts: getPosts() }) → { user, posts }
+ * - Rejects fast on the first rejection
+ *
+ * Why implement it this way?
+ * - Flatten to entries → reuse all() → rebuild the same shape
+ * - Keeps named results instead of positional destructuring
+ *
+ * Time Complexity: O(n)
+ * Space Complexity: O(n)
+ */
+MyPromise.props = function(input) {
+  let entries = [];
+  const result = new MyPromise((resolve, reject) => {
+    if (!isKeyedInput(input)) {
+      throw new TypeError(`MyPromise.props expects an object or Map, got ${input}`);
+    }
+    entries = keyedEntries(input);
+    MyPromise.all(entries.map(([, p]) => p))
+      .then(values => resolve(fromEntries(input, entries, values)), reject);
+  });
+  return tracePromise(result, "props", entries.map(([, p]) => p));
+};
+
+/**
+ * Follow-up Questions:
+ * - Why not just Promise.all(Object.values(obj))? (key order/shape is lost at the call site)
+ * - Should symbol keys be included? (Object.entries skips them, like Object.assign would not)
+ */
+
+
+/**
+ * MyPromise.map(iterable, fn, { concurrency })
+ *
+ * What does it do?
+ * - Maps each item through an async fn, at most `concurrency` in flight
+ * - Results keep input order (not completion order)
+ * - Rejects on the first error and stops starting new items
+ * - Items may be promises; they are awaited before fn sees them
+ *
+ * Why implement it this way?
+ * - `concurrency` workers pull from ONE shared iterator → a slot is refilled
+ *   as soon as any item finishes (unlike chunking, which waits for the slowest)
+ * - Iterator is pulled lazily → works for generators without materializing them
+ *
+ * Time Complexity: O(n)
+ * Space Complexity: O(n) results + O(concurrency) in flight
+ */
+MyPromise.map = function(iterable, fn, { concurrency = Infinity } = {}) {
+  const items = []; // per-item promises, appended as the iterator is pulled
+  const result = new MyPromise((resolve, reject) => {
+    if (typeof fn !== "function") throw new TypeError(`${fn} is not a function`);
+    if (!(concurrency >= 1)) throw new RangeError(`concurrency must be >= 1, got ${concurrency}`);
+    if (iterable == null || typeof iterable[Symbol.iterator] !== "function") {
+      throw new TypeError(`MyPromise.map expects an iterable, got ${iterable}`);
+    }
+
+    const iterator = iterable[Symbol.iterator]();
+    const results = [];
+    let nextIndex = 0;
+    let running = 0;
+    let exhausted = false;
+    let failed = false;
+
+    const fail = err => {
+      failed = true;
+      reject(err);
+    };
+
+    const launch = () => {
+      while (!failed && !exhausted && running < concurrency) {
+        let step;
+        try {
+          step = iterator.next();
+        } catch (err) {
+          return fail(err);
+        }
+        if (step.done) {
+          exhausted = true;
+          break;
+        }
+
+        const index = nextIndex++;
+        running++;
+        const item = MyPromise.resolve(step.value).then(value => fn(value, index));
+        items.push(item);
+        item.then(mapped => {
+          results[index] = mapped;
+          running--;
+          launch(); // refill the freed slot
+        }, fail);
+      }
+
+      if (exhausted && running === 0 && !failed) resolve(results); // also covers empty input
+    };
+
+    launch();
+  });
+  return tracePromise(result, "map", items);
+};
+
+/**
+ * MyPromise.mapSeries
+ *
+ * - map() with concurrency 1 → strictly one after another, in order
+ * - Useful when each step depends on side effects of the previous one
+ */
+MyPromise.mapSeries = function(iterable, fn) {
+  return MyPromise.map(iterable, fn, { concurrency: 1 });
+};
+
+/**
+ * Follow-up Questions:
+ * - Why is this better than mapWithChunksAsync? (no idle slots while a chunk's slowest item finishes)
+ * - How would you keep going after errors? (collect per-item outcomes like allSettled)
+ * - How would you stop in-flight work on failure? (pass an AbortSignal into fn)
+ */
+
+
+/**
+ * MyPromise.prototype.catch
+ *
+ * What does native Promise.catch do?
+ * - Registers only a rejection handler
+ * - Same as then(undefined, onRejected) → returns a new promise
+ * - A value returned from onRejected recovers the chain
+ *
+ * Time Complexity: O(1)
+ * Space Complexity: O(1)
+ */
+MyPromise.prototype.catch = function(onRejected) {
+  return tracePromise(this.then(undefined, onRejected), "catch", [this]);
+};
+
+/**
+ * Follow-up Questions:
+ * - Difference between then(f, g) and then(f).catch(g)?
+ *   (catch also sees errors thrown by f)
+ * - Does catch() mark the promise as handled? (yes, it is a then() call)
+ */
+
+
 /**
  * MyPromise.prototype.finally
  *
@@ -263,7 +835,7 @@ MyPromise.allSettled = function(promises) {
  * Space Complexity: O(1)
  */
 MyPromise.prototype.finally = function(callback) {
-  return this.then(
+  const promise2 = this.then(
     value => {
       return MyPromise.resolve(callback()).then(() => value); // preserve value
     },
@@ -271,6 +843,7 @@ MyPromise.prototype.finally = function(callback) {
       return MyPromise.resolve(callback()).then(() => { throw reason }); // rethrow
     }
   );
+  return tracePromise(promise2, "finally", [this]);
 };
 
 /**
@@ -289,7 +862,7 @@ MyPromise.prototype.finally = function(callback) {
  */
 MyPromise.resolve = function(value) {
   if (value instanceof MyPromise) return value;
-  return new MyPromise(resolve => resolve(value));
+  return tracePromise(new MyPromise(resolve => resolve(value)), "resolve", []);
 };
 
 /**
@@ -299,7 +872,7 @@ MyPromise.resolve = function(value) {
  * - Returns a promise that is already rejected with the given reason
  */
 MyPromise.reject = function(reason) {
-  return new MyPromise((_, reject) => reject(reason));
+  return tracePromise(new MyPromise((_, reject) => reject(reason)), "reject", []);
 };
 
 /**
@@ -307,3 +880,425 @@ MyPromise.reject = function(reason) {
  * - Why is resolve needed if you can just write new Promise?
  * - How does resolve handle thenables?
  */
+
+
+/**
+ * MyPromise.withResolvers (ES2024)
+ *
+ * What does it do?
+ * - Returns { promise, resolve, reject } instead of hiding them in an executor
+ * - Handy when the settle call happens somewhere else (event handler, queue)
+ */
+MyPromise.withResolvers = function() {
+  let resolve, reject;
+  const promise = new MyPromise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+/**
+ * MyPromise.try
+ *
+ * What does it do?
+ * - Calls fn(...args) right away and wraps the outcome in a promise
+ * - Sync throw → rejected promise (instead of escaping to the caller)
+ * - Sync return / returned promise → resolved / adopted
+ */
+MyPromise.try = function(fn, ...args) {
+  return tracePromise(new MyPromise(resolve => resolve(fn(...args))), "try", []);
+};
+
+/**
+ * Follow-up Questions:
+ * - Why not MyPromise.resolve().then(fn)? (that defers fn by a tick; try runs it now)
+ * - Where did the "deferred" pattern come from? (jQuery.Deferred, Q.defer)
+ */
+
+
+
+/***********************************************************
+ * Cancellation (AbortSignal)
+ ***********************************************************/
+
+/**
+ * createAbortError()
+ *
+ * - Same error fetch() rejects with: DOMException named "AbortError"
+ * - Falls back to a plain Error with name "AbortError" where DOMException is missing
+ * - Callers detect it with `err.name === "AbortError"`
+ */
+function createAbortError(message = "This operation was aborted") {
+  if (typeof DOMException === "function") return new DOMException(message, "AbortError");
+  const err = new Error(message);
+  err.name = "AbortError";
+  return err;
+}
+
+// signal.abort(reason) → reason; signal.abort() → AbortError (native default)
+function abortReason(signal) {
+  return signal.reason !== undefined ? signal.reason : createAbortError();
+}
+
+/**
+ * MyPromise.withSignal
+ *
+ * What does it do?
+ * - Creates a MyPromise tied to an AbortSignal
+ * - Executor gets (resolve, reject, onCancel)
+ * - When the signal fires → rejects with signal.reason (AbortError by default)
+ *   and runs every callback registered via onCancel (clear timers, abort XHR, ...)
+ * - Already-aborted signal → rejects right away, executor never runs
+ *
+ * Why implement it this way?
+ * - AbortSignal is the platform's cancellation token (fetch, addEventListener, streams)
+ * - Cleanup lives next to the work that needs it, inside the executor
+ * - Abort listener is removed once the promise settles → no leak on long-lived signals
+ *
+ * Time Complexity: O(c) on abort – c = cleanup callbacks
+ * Space Complexity: O(c)
+ *
+ * Example:
+ *   MyPromise.withSignal(controller.signal, (resolve, reject, onCancel) => {
+ *     const id = setTimeout(resolve, 1000, "done");
+ *     onCancel(() => clearTimeout(id));
+ *   });
+ */
+MyPromise.withSignal = function(signal, executor) {
+  return new MyPromise((resolve, reject) => {
+    if (!signal) return executor(resolve, reject, () => {}); // nothing to cancel
+
+    if (signal.aborted) return reject(abortReason(signal));
+
+    const cleanups = [];
+    const onAbort = () => {
+      reject(abortReason(signal));
+      cleanups.splice(0).forEach(fn => {
+        try {
+          fn();
+        } catch (e) {
+          // a failing cleanup must not hide the abort itself
+        }
+      });
+    };
+    signal.addEventListener("abort", onAbort, { once: true });
+
+    const settleWith = fn => value => {
+      signal.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+
+    try {
+      executor(settleWith(resolve), settleWith(reject), fn => cleanups.push(fn));
+    } catch (e) {
+      settleWith(reject)(e);
+    }
+  });
+};
+
+/**
+ * Follow-up Questions:
+ * - Why reject instead of leaving the promise pending forever on cancel?
+ *   (awaiters need to unwind: hide spinners, release locks)
+ * - Should cleanups run after a normal resolve? (no – only cancellation needs them)
+ * - What if the executor resolves with a slow thenable and then abort fires?
+ *   (promise is already locked in to the thenable; pass the signal down to it instead)
+ */
+
+
+/**
+ * MyPromise.raceCancellable / MyPromise.anyCancellable
+ *
+ * What do they do?
+ * - Same result as race / any, but inputs are task functions: (signal) => promise
+ * - Each task gets its own AbortSignal
+ * - Once the outcome is decided, every other task is aborted
+ * - Optional { signal } aborts everything from outside
+ *
+ * Why implement it this way?
+ * - A promise can't be cancelled after the fact; the work behind it can.
+ *   Handing each task a signal lets it stop its own fetch/timer/XHR
+ * - One AbortController per task → abort only the losers, not the winner
+ * - Non-function inputs are treated like race/any values (can't be aborted)
+ *
+ * Time Complexity: O(n)
+ * Space Complexity: O(n) for controllers
+ *
+ * Example:
+ *   MyPromise.raceCancellable([
+ *     signal => fetch("/primary", { signal }),
+ *     signal => fetch("/mirror", { signal })
+ *   ]); // slower request is aborted
+ */
+function runCancellable(kind, tasks, signal, decide) {
+  let promises = [];
+  const result = MyPromise.withSignal(signal, (resolve, reject, onCancel) => {
+    const controllers = [];
+    let decided = false;
+
+    const abortOthers = winner => {
+      controllers.forEach(c => {
+        if (c !== winner) c.abort();
+      });
+    };
+    onCancel(() => abortOthers(null));
+
+    const finish = (fn, winner) => value => {
+      if (decided) return;
+      decided = true;
+      abortOthers(winner);
+      fn(value);
+    };
+
+    const inputs = [...tasks].map(task => {
+      if (typeof task !== "function") return { promise: MyPromise.resolve(task), controller: null };
+      const controller = new AbortController();
+      controllers.push(controller);
+      const promise = new MyPromise(res => res(task(controller.signal))); // sync throw → rejection
+      return { promise, controller };
+    });
+    promises = inputs.map(({ promise }) => promise);
+
+    decide(inputs, {
+      resolve: winner => finish(resolve, winner),
+      reject: winner => finish(reject, winner),
+      isDecided: () => decided
+    });
+  });
+  return tracePromise(result, kind, promises);
+}
+
+MyPromise.raceCancellable = function(tasks, { signal } = {}) {
+  return runCancellable("raceCancellable", tasks, signal, (inputs, { resolve, reject }) => {
+    inputs.forEach(({ promise, controller }) => {
+      promise.then(resolve(controller), reject(controller));
+    });
+  });
+};
+
+MyPromise.anyCancellable = function(tasks, { signal } = {}) {
+  return runCancellable("anyCancellable", tasks, signal, (inputs, { resolve, reject, isDecided }) => {
+    const errors = [];
+    let rejectedCount = 0;
+    const rejectAll = reject(null);
+
+    if (inputs.length === 0) {
+      return rejectAll(new AggregateError([], "All promises rejected"));
+    }
+
+    inputs.forEach(({ promise, controller }, i) => {
+      promise.then(resolve(controller), err => {
+        if (isDecided()) return; // loser aborted after the winner → ignore its AbortError
+        errors[i] = err;
+        rejectedCount++;
+        if (rejectedCount === inputs.length) {
+          rejectAll(new AggregateError(errors, "All promises rejected"));
+        }
+      });
+    });
+  });
+};
+
+/**
+ * Follow-up Questions:
+ * - Why pass task functions instead of promises? (a promise is already running;
+ *   only its creator can wire a signal into the underlying work)
+ * - What should happen to losers' rejections? (consumed here, so they never
+ *   show up as unhandled rejections)
+ * - How would you add a timeout? (a task that rejects after ms, or AbortSignal.timeout)
+ */
+
+
+
+/***********************************************************
+ * Timeouts, delays and deadlines
+ ***********************************************************/
+
+/**
+ * TimeoutError
+ *
+ * - Own class so callers can tell "too slow" apart from "failed":
+ *   `err instanceof TimeoutError` or `err.name === "TimeoutError"`
+ * - `timeout` holds the budget (ms) that was exceeded
+ */
+class TimeoutError extends Error {
+  constructor(message = "Operation timed out", timeout) {
+    super(message);
+    this.name = "TimeoutError";
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * setLongTimeout(fn, ms, { unref }?) → cancel()
+ *
+ * - setTimeout stores its delay as a signed 32-bit int: anything ≥ 2^31 ms
+ *   (~24.8 days) overflows to 1ms, fires at once and Node prints a
+ *   TimeoutOverflowWarning
+ * - Waits in chunks of at most MAX_TIMEOUT_MS and re-arms until `ms` is used up
+ * - ms = Infinity → no timer at all (a wait that never ends needs none)
+ * - unref: true → the timers don't keep Node alive
+ */
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+function setLongTimeout(fn, ms, { unref = false } = {}) {
+  if (ms === Infinity) return () => {};
+  let left = ms;
+  let timer;
+  const arm = () => {
+    const wait = Math.min(left, MAX_TIMEOUT_MS);
+    left -= wait;
+    timer = setTimeout(() => (left > 0 ? arm() : fn()), wait);
+    if (unref && timer && typeof timer.unref === "function") timer.unref();
+  };
+  arm();
+  return () => clearTimeout(timer);
+}
+
+/**
+ * MyPromise.timeout(promise, ms, message?)
+ *
+ * What does it do?
+ * - Settles like `promise` if it settles within `ms`
+ * - Otherwise rejects with a TimeoutError
+ * - Timer is cleared as soon as `promise` settles → no stray timers keeping Node alive
+ * - Any ms works: > 2^31-1 re-arms (setLongTimeout), Infinity never times out
+ *
+ * Why implement it this way?
+ * - A race between the input and a timer, but with cleanup on the winning side
+ *   (a plain race([p, sleep(ms)]) leaves the timer running)
+ * - Does NOT stop the underlying work → pass a signal/Deadline for that
+ *
+ * Time Complexity: O(1)
+ * Space Complexity: O(1)
+ */
+MyPromise.timeout = function(promise, ms, message = `Operation timed out after ${ms}ms`) {
+  const input = MyPromise.resolve(promise);
+  const result = settleWithin(input, ms, () => new TimeoutError(message, ms));
+  return tracePromise(result, "timeout", [input]);
+};
+
+// Shared by timeout() and Deadline#run(); makeError runs only if the timer wins
+function settleWithin(input, ms, makeError) {
+  return new MyPromise((resolve, reject) => {
+    const cancel = setLongTimeout(() => reject(makeError()), ms);
+    input.then(
+      value => {
+        cancel();
+        resolve(value);
+      },
+      reason => {
+        cancel();
+        reject(reason);
+      }
+    );
+  });
+}
+
+/**
+ * MyPromise.delay(ms, value?, { signal }?)
+ *
+ * - Resolves with `value` after `ms`
+ * - With a signal: aborting clears the timer and rejects with AbortError
+ */
+MyPromise.delay = function(ms, value, { signal } = {}) {
+  const result = MyPromise.withSignal(signal, (resolve, reject, onCancel) => {
+    onCancel(setLongTimeout(() => resolve(value), ms));
+  });
+  return tracePromise(result, "delay", []);
+};
+
+/**
+ * Follow-up Questions:
+ * - Why doesn't timeout() cancel the slow operation? (a promise has no handle
+ *   on the work; combine with AbortSignal so the fetch/XHR itself is aborted)
+ * - Why clear the timer? (Node keeps the process alive; thousands of leftover
+ *   timers after fast responses are a leak)
+ */
+
+
+/**
+ * Deadline
+ *
+ * What does it do?
+ * - One absolute point in time shared by a whole call chain
+ * - MyPromise.deadline(5000) at the top, pass `deadline` down:
+ *     loadPage(deadline) → loadUser(deadline) → fetchJSON(url, deadline)
+ * - Each level spends what is left instead of starting its own 5s clock
+ *   (nested timeouts 5s + 5s + 5s would let the page wait 15s)
+ *
+ * API:
+ * - remaining()      → ms left (0 once expired)
+ * - expired          → boolean
+ * - within(ms)       → child deadline: min(this, now + ms), never later than the parent
+ * - signal           → AbortSignal that aborts with a TimeoutError at the deadline
+ * - run(task)        → task is a promise, or (signal) => promise; rejects with
+ *                      TimeoutError once the deadline passes
+ *
+ * Why implement it this way?
+ * - Absolute timestamp (Date.now() based) → cheap to pass around, no timers
+ *   until someone actually waits on it
+ * - The signal is created lazily and its timer is unref'd (Node), so an
+ *   unused deadline never keeps the process alive
+ *
+ * Time Complexity: O(1) per call
+ * Space Complexity: O(1)
+ */
+class Deadline {
+  constructor(at) {
+    this.at = at; // epoch ms
+    this.controller = null;
+  }
+
+  remaining() {
+    return Math.max(0, this.at - Date.now());
+  }
+
+  get expired() {
+    return this.remaining() === 0;
+  }
+
+  within(ms) {
+    return new Deadline(Math.min(this.at, Date.now() + ms));
+  }
+
+  get signal() {
+    if (!this.controller) {
+      this.controller = new AbortController();
+      const fire = () => this.controller.abort(this.timeoutError());
+      if (this.expired) fire();
+      else setLongTimeout(fire, this.remaining(), { unref: true });
+    }
+    return this.controller.signal;
+  }
+
+  run(task) {
+    if (this.expired) return MyPromise.reject(this.timeoutError());
+    const input = MyPromise.resolve(typeof task === "function" ? MyPromise.try(task, this.signal) : task);
+    // Same error shape whether the deadline passed before or during the task
+    const result = settleWithin(input, this.remaining(), () => this.timeoutError());
+    return tracePromise(result, "deadline", [input]);
+  }
+
+  timeoutError() {
+    const at = Number.isFinite(this.at) ? new Date(this.at).toISOString() : String(this.at);
+    const err = new TimeoutError(`Deadline exceeded (${at})`);
+    err.deadline = this.at;
+    return err;
+  }
+}
+
+MyPromise.deadline = function(ms) {
+  return new Deadline(Date.now() + ms);
+};
+
+/**
+ * Follow-up Questions:
+ * - Why an absolute time instead of a duration? (durations reset at each hop;
+ *   gRPC propagates deadlines the same way)
+ * - How would a deadline cross a network boundary? (send remaining ms as a
+ *   header, the server builds its own Deadline from it)
+ * - What about clock changes? (performance.now() is monotonic; Date.now() is
+ *   used here so deadlines can be logged and serialized)
+ */
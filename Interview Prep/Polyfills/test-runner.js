@@ -0,0 +1,40 @@
+/***********************************************************
+ * Tiny test runner shared by the *-suite.js files
+ *
+ * - describe/it like mocha; a test may return a promise
+ * - run() executes tests sequentially and prints a ✓/✗ tally;
+ *   exit code 1 if anything failed
+ * - promises-aplus-suite.js keeps its own done-callback runner (A+ tests are
+ *   written against that shape)
+ ***********************************************************/
+"use strict";
+
+const tests = [];
+const prefix = [];
+
+function describe(name, fn) {
+  prefix.push(name);
+  fn();
+  prefix.pop();
+}
+
+function it(name, fn) {
+  tests.push({ name: [...prefix, name].join(" › "), fn });
+}
+
+async function run() {
+  let failed = 0;
+  for (const test of tests) {
+    try {
+      await test.fn();
+      console.log(`  ✓ ${test.name}`);
+    } catch (err) {
+      failed++;
+      console.log(`  ✗ ${test.name}\n      ${err instanceof Error ? err.message : String(err)}`);
+    }
+  }
+  console.log(`\n${tests.length - failed} passing, ${failed} failing`);
+  process.exitCode = failed ? 1 : 0;
+}
+
+module.exports = { describe, it, run };
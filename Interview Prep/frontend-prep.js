@@ -211,13 +211,17 @@ function once(fn) {
 }
 
 /**
- * memoize(fn)
+ * memoize(fn, resolver?)
  * Purpose: Cache function results for same inputs
+ * - resolver(...args) → cache key; default JSON.stringify(args) (no cycles,
+ *   key order matters, functions/undefined collapse to null)
+ * - Stable keys, identity (WeakMap trie) mode, LRU maxSize and ttl:
+ *   Polyfills/lodash-advanced.js
  */
-function memoize(fn) {
+function memoize(fn, resolver) {
   const cache = new Map();
   return function(...args) {
-    const key = JSON.stringify(args);
+    const key = resolver ? resolver.apply(this, args) : JSON.stringify(args);
     if (cache.has(key)) return cache.get(key);
     const result = fn.apply(this, args);
     cache.set(key, result);
@@ -253,22 +257,41 @@ function deepEqual(a, b) {
 /**
  * EventEmitter
  * Classic Node.js style pub-sub implementation
+ * - on/off/once chainable, emit returns whether anyone listened
+ * - emit("error") with no listener throws (Node behaviour)
+ * - Full Node `events` surface (prepend*, listenerCount, rawListeners,
+ *   maxListeners warning, newListener/removeListener): Polyfills/observer-pattern.js
  */
 class EventEmitter {
   constructor() {
-    this.events = {};
+    this.events = Object.create(null);
   }
   on(event, listener) {
-    if (!this.events[event]) this.events[event] = [];
-    this.events[event].push(listener);
+    (this.events[event] || (this.events[event] = [])).push(listener);
+    return this;
+  }
+  once(event, listener) {
+    const wrapper = (...args) => {
+      this.off(event, wrapper);
+      listener.apply(this, args);
+    };
+    wrapper.listener = listener; // off(event, listener) still finds it
+    return this.on(event, wrapper);
   }
   off(event, listener) {
-    if (!this.events[event]) return;
-    this.events[event] = this.events[event].filter(l => l !== listener);
+    const list = this.events[event];
+    if (!list) return this;
+    this.events[event] = list.filter(l => l !== listener && l.listener !== listener);
+    return this;
   }
   emit(event, ...args) {
-    if (!this.events[event]) return;
-    this.events[event].forEach(listener => listener(...args));
+    const list = this.events[event];
+    if (!list || !list.length) {
+      if (event === "error") throw args[0] instanceof Error ? args[0] : new Error(`Unhandled error. (${args[0]})`);
+      return false;
+    }
+    list.slice().forEach(listener => listener.apply(this, args));
+    return true;
   }
 }
 